@@ -0,0 +1,110 @@
+// ============================================
+// CaféVibe - Simulation Clock
+// Fixed-timestep ticks, decoupled from the render rate
+// ============================================
+
+const SIM_STEP = 1 / CONFIG.SIM.TICK_RATE;
+
+const simClock = {
+    tick: 0,          // Ticks run since the run started
+    time: 0,          // Seconds of simulated play (tick * SIM_STEP)
+    accumulator: 0,   // Real time not yet simulated
+    alpha: 0,         // How far rendering is between the last two ticks (0-1)
+    systems: []       // Called once per tick, in subscription order
+};
+
+// Previous / current positions of moving objects, for render interpolation
+let simSnapshots = new Map();
+let simRendered = new Map();
+
+// Subscribe a system - fn(step) runs every tick with step = SIM_STEP
+function onSimTick(name, fn) {
+    simClock.systems.push({ name, fn });
+}
+
+function resetSimClock() {
+    simClock.tick = 0;
+    simClock.time = 0;
+    simClock.accumulator = 0;
+    simClock.alpha = 0;
+    simSnapshots = new Map();
+    simRendered = new Map();
+}
+
+function runSimTick() {
+    simClock.systems.forEach(system => system.fn(SIM_STEP));
+    simClock.tick++;
+    simClock.time = simClock.tick * SIM_STEP;
+}
+
+// Run a fixed number of ticks straight away (tests, headless runs)
+function runSimTicks(count) {
+    for (let i = 0; i < count; i++) runSimTick();
+}
+
+// Feed real frame time in; runs as many whole ticks as have built up
+function advanceSimClock(frameDelta) {
+    restoreSimPositions();
+
+    // Clamp so a long stall (tab in background) doesn't fast-forward the café
+    simClock.accumulator += Math.min(frameDelta, CONFIG.SIM.MAX_FRAME);
+
+    while (simClock.accumulator >= SIM_STEP) {
+        snapshotSimPositions();
+        runSimTick();
+        simClock.accumulator -= SIM_STEP;
+
+        // A system paused the game (end of day) - drop the rest of this frame
+        if (gameState.isPaused || !gameState.isPlaying) {
+            simClock.accumulator = 0;
+            break;
+        }
+    }
+
+    simClock.alpha = simClock.accumulator / SIM_STEP;
+    blendSimPositions(simClock.alpha);
+}
+
+// ============================================
+// RENDER INTERPOLATION
+// ============================================
+
+// Things that move every tick and would otherwise stutter between them
+function getInterpolatedObjects() {
+    const carried = physicsState.tray ? [physicsState.tray, ...heldItems] : heldItems;
+    return [camera, ...carried, ...navAgents, ...physicsState.looseItems];
+}
+
+function snapshotSimPositions() {
+    simSnapshots = new Map();
+    getInterpolatedObjects().forEach(obj => {
+        simSnapshots.set(obj, obj.position.clone());
+    });
+}
+
+// Draw each object part way between its last two simulated positions
+function blendSimPositions(alpha) {
+    simRendered = new Map();
+    getInterpolatedObjects().forEach(obj => {
+        const prev = simSnapshots.get(obj);
+        if (!prev) return;
+
+        const current = obj.position.clone();
+        obj.position.lerpVectors(prev, current, alpha);
+        simRendered.set(obj, { current, rendered: obj.position.clone() });
+    });
+}
+
+// Where the sim has an object, even while it's drawn part way between ticks
+function getSimPosition(obj) {
+    const entry = simRendered.get(obj);
+    return entry ? entry.current : obj.position;
+}
+
+// Put simulated positions back before ticking - unless something teleported the object since
+function restoreSimPositions() {
+    simRendered.forEach(({ current, rendered }, obj) => {
+        if (obj.position.equals(rendered)) obj.position.copy(current);
+    });
+    simRendered = new Map();
+}
@@ -6,11 +6,195 @@ const CONFIG = {
     STARTING_MONEY: 100,
     CUSTOMER_SPAWN_INTERVAL: { cozy: 8000, competitive: 4000 },
     CUSTOMER_PATIENCE: { cozy: 120, competitive: 60 },
-    MAX_CUSTOMERS: 5,
+    MAX_CUSTOMERS: 10, // In line at once - past QUEUE_POSITIONS they wait outside
+
+    // Patience (seconds are scaled by CUSTOMER_TYPES[type].patience)
+    WALKOUT_RATING_PENALTY: 0.3,
+    PATIENCE_WARNING: 0.5,   // Bar turns yellow below this fraction
+    PATIENCE_CRITICAL: 0.25, // Bar turns red below this fraction
+
+    // Mini-game tuning (before prepSpeed is applied)
+    MARKER_SPEED: 72,  // % of the timing bar per second
+    TAP_REQUIRED: 12,
+    MIN_TAP_REQUIRED: 4,
+    TAP_DECAY: 1.8,    // Taps lost per second while not tapping
+
+    // Simulation clock (see clock.js)
+    SIM: {
+        TICK_RATE: 60,   // Fixed ticks per second
+        MAX_FRAME: 0.25  // Longest frame fed to the clock, in seconds
+    },
+    FIRST_CUSTOMER_DELAY: 1, // Seconds into a run before the first customer
+
+    // Controllers (see gamepad.js)
+    GAMEPAD: {
+        MOVE_DEAD_ZONE: 0.15,  // Stick travel ignored before movement starts
+        LOOK_DEAD_ZONE: 0.12,
+        LOOK_RATE: 3,          // Radians per second at full tilt, sensitivity 1
+        AXIS_STEP: 0.02        // Stick values are rounded to this, so tiny jitter isn't sent as input
+    },
+
+    // Touch screens (see touch.js)
+    TOUCH: {
+        STICK_ZONE: 0.4,    // Touches starting in this fraction of the screen's left side move
+        STICK_RADIUS: 60,   // Pixels of drag for full speed
+        LOOK_SCALE: 2.5     // Drag pixels -> mouse pixels, before sensitivity
+    },
+
+    // Generative music (see music.js)
+    MUSIC: {
+        LOOKAHEAD: 0.2,       // Seconds of notes scheduled ahead of the audio clock
+        CROSSFADE: 3,         // Seconds to fade between tracks
+        INTENSITY_RATE: 0.3   // How fast intensity follows the queue, per second
+    },
+
+    SFX: {
+        REF_DISTANCE: 2,      // Positional sounds start fading past this many units
+        ROLLOFF: 1.2,
+        STEP_LENGTH: 0.7,     // Units walked per footstep
+        STEAM_LOW: 900,       // Steam hiss (Hz) from cold milk...
+        STEAM_HIGH: 3200,     // ...to fully frothed
+        AMBIENCE_LEVEL: 0.04,
+        RAIN_LEVEL: 0.05,     // Rain on the roof at full downpour
+        TRAFFIC_GAP_MIN: 6,   // Seconds between passing cars
+        TRAFFIC_GAP_MAX: 16,
+        DOOR: { x: -2.5, y: 2.1, z: -1.45 },
+        STREET: { x: 0, y: 1, z: 11 }
+    },
+
+    // Input recording (see replay.js)
+    REPLAY: {
+        VERSION: 1,
+        MAX_EVENTS: 250000, // Recording stops past this (roughly an hour of mouse look)
+        CHECK_BATCH_MS: 12  // Ticks a replay check runs per slice before letting the page draw
+    },
+
+    // Carrying
+    TRAY_CAPACITY: 4, // Items a tray holds (hands alone carry one)
+    HOLD_FOLLOW: 0.3, // Share of the way held items catch up to the hands each tick
+    THROW: {
+        MIN_SPEED: 2,          // m/s for a tap of the throw button
+        MAX_SPEED: 9,          // ...and a full wind-up
+        CHARGE_TIME: 1,        // Seconds to full power
+        MAX_LOOSE_ITEMS: 20    // Dropped items kept around before the oldest vanish
+    },
+
+    // Customer navigation (grid A* plus local avoidance, see navigation.js)
+    NAV: {
+        CELL_SIZE: 0.25,
+        AGENT_RADIUS: 0.15,   // Obstacles are grown by this much
+        WALK_SPEED: 1.8,      // Units per second
+        STORM_SPEED: 3.2,     // Walking out in a huff
+        AVOID_RADIUS: 0.7,    // Customers closer than this push apart
+        AVOID_STRENGTH: 1.5,
+        SPAWN: { x: 0, z: 9 },  // Arrive from the street...
+        EXIT: { x: 0, z: 12 },  // ...and leave past it
+        BOUNDS: {
+            minX: -7, maxX: 7,
+            minZ: -7, maxZ: 13
+        }
+    },
+
+    // Overflow line once every QUEUE_POSITIONS slot is taken
+    QUEUE: {
+        OVERFLOW_START: { x: -1.3, z: 1 },
+        OVERFLOW_SPACING: 0.8
+    },
+
+    // Layout editor (see layout.js)
+    LAYOUT: {
+        GRID: { counter: 0.1, ground: 0.25 },  // Snap step in metres
+        SELL_REFUND: 0.5,     // Share of the price back when selling a piece
+        KEEP_CLEAR: 0.35,     // Half-size of the square kept free around every queue spot
+        DOORWAY: { x: -2.5, z: -1.5, width: 1.1, depth: 1.6 },
+        // Where pieces can stand - counter pieces sit on the counter top, the rest on the ground
+        AREAS: {
+            counter: { minX: -3, maxX: 3, minZ: -5.7, maxZ: -4.7, y: 1.1 },
+            floor: { minX: -3.8, maxX: 3.8, minZ: -5.1, maxZ: -1.6, y: 0 },
+            patio: { minX: -4.5, maxX: 4.5, minZ: -1.4, maxZ: 7, y: 0 }
+        },
+        // Top-down build mode cameras
+        VIEWS: {
+            inside: { x: 0, y: 6, z: -3.8 },
+            patio: { x: 0, y: 11, z: 2.8 }
+        }
+    },
+
+    // Dine-in (chance to stay is CUSTOMER_TYPES[type].dineIn)
+    SEATING: {
+        DINE_TIME_MIN: 20, // Seconds a diner stays at the table
+        DINE_TIME_MAX: 45
+    },
+
+    // Saving
+    AUTOSAVE_INTERVAL: 30000,
+    LEDGER_SIZE: 200, // Transactions kept in the money ledger
+
+    // Menu pricing
+    PRICING: {
+        MIN_FACTOR: 0.5,         // Cheapest allowed price vs. base
+        MAX_FACTOR: 3,           // Most expensive allowed price vs. base
+        ELASTICITY: 2,           // Demand falls with (base / price) ^ ELASTICITY
+        FAIR_MARKUP: 1.2,        // Customers don't mind up to +20%
+        TIP_SENSITIVITY: 1.5,    // Tip multiplier lost per 100% over fair
+        RATING_SENSITIVITY: 0.3  // Rating lost per 100% over fair
+    },
+
+    // Recipe scoring
+    RECIPE: {
+        MILK_POUR_ML: 120,    // Milk added by the first pass at the milk station
+        MILK_TOLERANCE_ML: 20,
+        MIN_ACCURACY: 50,     // Customers refuse drinks scoring below this
+        PENALTY: { missing: 60, extra: 30, quantity: 15, foam: 25, order: 10 },
+        RATING_WEIGHT: 0.2    // Rating lost for a 0% accurate drink (scales down to nothing at 100%)
+    },
+
+    // Drink quality (0-100) from per-step results
+    QUALITY: {
+        STEP_WEIGHTS: { espresso: 3, milk: 2, syrup: 1 }, // Recipe steps may override with `weight`
+        SYRUP: 100,              // Syrup pumps have no mini-game
+        DECAY_GRACE: 20,         // Seconds a drink stays perfect after its last step
+        DECAY_PER_SECOND: 1,     // Quality lost per second after that
+        MIN: 10
+    },
+
+    // Day cycle (hours on a 24h clock, LENGTH in real seconds per shift)
+    DAY: {
+        OPEN_HOUR: 7,
+        CLOSE_HOUR: 19,
+        LENGTH: 360,
+        // Gaussian bumps on top of the base spawn rate
+        RUSH_HOURS: [
+            { peak: 8.5, width: 1.2, strength: 1.0 },  // Morning commute
+            { peak: 12.5, width: 1.0, strength: 0.7 }, // Lunch
+            { peak: 16, width: 1.5, strength: 0.3 }    // Afternoon slump
+        ]
+    },
+
+    // Seasons turn over every LENGTH days, starting from FIRST (see SEASONS)
+    SEASON: {
+        LENGTH: 5,
+        FIRST: 'autumn',
+        FEATURED_DEMAND: 2   // Order weight of the season's own menu items
+    },
+
+    // Sky, sun and weather visuals (see weather.js)
+    ENVIRONMENT: {
+        SUNRISE: 6.5,       // Hours - the sun arcs east to west between these
+        SUNSET: 18,
+        MENU_HOUR: 16,      // Time of day behind the main menu
+        WEATHER_FADE: 0.25, // How fast rain and cloud blend in, per second
+        DRY_RATE: 0.02,     // How fast the ground dries after rain, per second
+        RAIN_DROPS: 1500,
+        RAIN_SPEED: 14,     // Units per second
+        RAIN_AREA: 30,      // Rain falls in a box this wide around the camera...
+        RAIN_HEIGHT: 15     // ...and this tall
+    },
 
     // Camera settings
     CAMERA_HEIGHT: 1.6,
     MOVE_SPEED: 50,
+    LOOK_SPEED: 0.002, // Radians per pixel of mouse movement at sensitivity 1
 
     // World bounds
     BOUNDS: {
@@ -27,28 +211,206 @@ const MENU_ITEMS = [
     { id: 'vanillaLatte', name: 'Vanilla Latte', icon: '🍦', basePrice: 6, type: 'drink' },
     { id: 'caramelMac', name: 'Caramel Macchiato', icon: '🍯', basePrice: 6, type: 'drink' },
     { id: 'mocha', name: 'Mocha', icon: '🍫', basePrice: 6, type: 'drink' },
+    // Seasonal - only on the menu in their season
+    { id: 'blossomLatte', name: 'Cherry Blossom Latte', icon: '🌸', basePrice: 6, type: 'drink', season: 'spring' },
+    { id: 'icedLatte', name: 'Iced Latte', icon: '🧊', basePrice: 5, type: 'drink', season: 'summer' },
+    { id: 'pumpkinSpice', name: 'Pumpkin Spice Latte', icon: '🎃', basePrice: 6, type: 'drink', season: 'autumn' },
+    { id: 'peppermintMocha', name: 'Peppermint Mocha', icon: '🍬', basePrice: 7, type: 'drink', season: 'winter' },
     { id: 'croissant', name: 'Croissant', icon: '🥐', basePrice: 4, type: 'pastry' },
     { id: 'muffin', name: 'Muffin', icon: '🧁', basePrice: 3, type: 'pastry' }
 ];
 
 // Customer types
 const CUSTOMER_TYPES = {
-    regular: { name: 'Regular', color: 0x8b7355, patience: 1.0, tipBonus: 1.0 },
-    chill: { name: 'Chill', color: 0x6b9b8a, patience: 1.5, tipBonus: 1.2 },
-    hurried: { name: 'Hurried', color: 0xc94444, patience: 0.5, tipBonus: 1.5 },
-    vip: { name: 'VIP', color: 0xd4af37, patience: 0.8, tipBonus: 2.0 }
+    regular: { name: 'Regular', color: 0x8b7355, patience: 1.0, tipBonus: 1.0, dineIn: 0.4 },
+    chill: { name: 'Chill', color: 0x6b9b8a, patience: 1.5, tipBonus: 1.2, dineIn: 0.7 },
+    hurried: { name: 'Hurried', color: 0xc94444, patience: 0.5, tipBonus: 1.5, dineIn: 0 },
+    vip: { name: 'VIP', color: 0xd4af37, patience: 0.8, tipBonus: 2.0, dineIn: 0.5 }
+};
+
+// Seasons, in the order they come round. The colours restyle the world (see applySeason),
+// particles drift down from the sky (null for none), station is the add-in in the counter's seasonal bottle.
+const SEASONS = {
+    spring: {
+        name: 'Spring', icon: '🌸',
+        foliage: [0xf4b6c8, 0xf8c8d8, 0xfde2ea], grass: 0x5aa04a, skyTint: 0xfff4f8,
+        particles: { colors: [0xffc0d0, 0xffe0ea, 0xffffff], size: 0.12, fall: 0.7 },
+        station: { ingredient: 'blossom', color: 0xf7a8c0 }
+    },
+    summer: {
+        name: 'Summer', icon: '🌻',
+        foliage: [0x2e7d32, 0x388e3c, 0x4caf50], grass: 0x4f8f3a, skyTint: 0xf4faff,
+        particles: null,
+        station: { ingredient: 'ice', color: 0xd6f0ff }
+    },
+    autumn: {
+        name: 'Autumn', icon: '🍂',
+        foliage: [0xcc4422, 0xdd6633, 0xee8844], grass: 0x4a7c4a, skyTint: 0xffffff,
+        particles: { colors: [0xcc4422, 0xdd6633, 0xee8844, 0xddaa33], size: 0.15, fall: 1 },
+        station: { ingredient: 'pumpkin', color: 0xe07b20 }
+    },
+    winter: {
+        name: 'Winter', icon: '❄️',
+        foliage: [0xe8eef4, 0xf2f6fa, 0xffffff], grass: 0xdde6ec, skyTint: 0xe4ecff,
+        particles: { colors: [0xffffff, 0xf0f6ff], size: 0.1, fall: 0.5 },
+        station: { ingredient: 'peppermint', color: 0xf0f0f0 }
+    }
 };
 
-// Drink recipes - what ingredients are needed
+// Weather, rolled each morning. dineIn scales every customer type's chance to stay,
+// demand scales how often a menu item gets ordered (missing items stay at 1).
+const WEATHER = {
+    clear: { name: 'Clear', icon: '☀️', chance: 0.5, cloudCover: 0.1, rain: 0, dineIn: 1, demand: {} },
+    cloudy: {
+        name: 'Overcast', icon: '☁️', chance: 0.3, cloudCover: 0.7, rain: 0, dineIn: 0.7,
+        demand: { latte: 1.2, cappuccino: 1.2, mocha: 1.3 }
+    },
+    rain: {
+        name: 'Rain', icon: '🌧️', chance: 0.2, cloudCover: 1, rain: 1, dineIn: 0.2,
+        demand: { espresso: 0.8, latte: 1.4, cappuccino: 1.4, vanillaLatte: 1.3, caramelMac: 1.3, mocha: 1.8 }
+    }
+};
+
+// Ingredient stock (counted in uses of the matching station).
+// addIn: pumped or scooped from a bottle on the counter, one use per press.
+const INGREDIENTS = {
+    espresso: { name: 'Coffee Beans', icon: '🫘', unit: 'shots', start: 20, max: 60, lowStock: 5 },
+    milk: { name: 'Milk', icon: '🥛', unit: 'pours', start: 15, max: 40, lowStock: 4 },
+    vanilla: { name: 'Vanilla Syrup', icon: '🍦', unit: 'pumps', start: 8, max: 20, lowStock: 2, addIn: true },
+    caramel: { name: 'Caramel Syrup', icon: '🍯', unit: 'pumps', start: 8, max: 20, lowStock: 2, addIn: true },
+    chocolate: { name: 'Chocolate Syrup', icon: '🍫', unit: 'pumps', start: 8, max: 20, lowStock: 2, addIn: true },
+    blossom: { name: 'Cherry Blossom Syrup', icon: '🌸', unit: 'pumps', start: 8, max: 20, lowStock: 2, addIn: true },
+    ice: { name: 'Ice', icon: '🧊', unit: 'scoops', start: 10, max: 30, lowStock: 3, addIn: true },
+    pumpkin: { name: 'Pumpkin Spice Syrup', icon: '🎃', unit: 'pumps', start: 8, max: 20, lowStock: 2, addIn: true },
+    peppermint: { name: 'Peppermint Syrup', icon: '🍬', unit: 'pumps', start: 8, max: 20, lowStock: 2, addIn: true },
+    cups: { name: 'Cups', icon: '🥤', unit: 'cups', start: 25, max: 80, lowStock: 5 },
+    pastries: { name: 'Pastries', icon: '🥐', unit: 'pastries', start: 10, max: 30, lowStock: 3 }
+};
+
+// Supplier deliveries (delay in game seconds, arrives while the café is running)
+const SUPPLIES = [
+    { id: 'beans', ingredient: 'espresso', name: 'Bean Sack', amount: 20, price: 12, delay: 20 },
+    { id: 'milk', ingredient: 'milk', name: 'Milk Crate', amount: 12, price: 8, delay: 15 },
+    { id: 'vanilla', ingredient: 'vanilla', name: 'Vanilla Syrup', amount: 8, price: 6, delay: 25 },
+    { id: 'caramel', ingredient: 'caramel', name: 'Caramel Syrup', amount: 8, price: 6, delay: 25 },
+    { id: 'chocolate', ingredient: 'chocolate', name: 'Chocolate Syrup', amount: 8, price: 6, delay: 25 },
+    { id: 'blossom', ingredient: 'blossom', name: 'Cherry Blossom Syrup', amount: 8, price: 8, delay: 25 },
+    { id: 'ice', ingredient: 'ice', name: 'Ice Bag', amount: 10, price: 4, delay: 15 },
+    { id: 'pumpkin', ingredient: 'pumpkin', name: 'Pumpkin Spice Syrup', amount: 8, price: 8, delay: 25 },
+    { id: 'peppermint', ingredient: 'peppermint', name: 'Peppermint Syrup', amount: 8, price: 8, delay: 25 },
+    { id: 'cups', ingredient: 'cups', name: 'Cup Sleeve', amount: 25, price: 5, delay: 10 },
+    { id: 'pastries', ingredient: 'pastries', name: 'Bakery Tray', amount: 10, price: 14, delay: 30 }
+];
+
+// Drink recipes - ordered steps with quantities (see recipes.js).
+// Anything a recipe doesn't list counts as a forbidden extra.
 const DRINK_RECIPES = {
-    espresso: { espresso: true },
-    latte: { espresso: true, milk: true },
-    cappuccino: { espresso: true, milk: true },
-    vanillaLatte: { espresso: true, milk: true, vanilla: true },
-    caramelMac: { espresso: true, milk: true, caramel: true },
-    mocha: { espresso: true, milk: true, chocolate: true }
+    espresso: { steps: [{ ingredient: 'espresso', shots: 1 }] },
+    latte: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'low' }
+        ]
+    },
+    cappuccino: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'high' }
+        ]
+    },
+    vanillaLatte: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'low' },
+            { ingredient: 'vanilla', pumps: 1 }
+        ]
+    },
+    caramelMac: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'high' },
+            { ingredient: 'caramel', pumps: 1 }
+        ]
+    },
+    mocha: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'low' },
+            { ingredient: 'chocolate', pumps: 1 }
+        ]
+    },
+    blossomLatte: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'low' },
+            { ingredient: 'blossom', pumps: 1 }
+        ]
+    },
+    icedLatte: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'ice', pumps: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'low' }
+        ]
+    },
+    pumpkinSpice: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'high' },
+            { ingredient: 'pumpkin', pumps: 1 }
+        ]
+    },
+    peppermintMocha: {
+        steps: [
+            { ingredient: 'espresso', shots: 1 },
+            { ingredient: 'milk', ml: 120, foam: 'low' },
+            { ingredient: 'chocolate', pumps: 1 },
+            { ingredient: 'peppermint', pumps: 1 }
+        ]
+    }
+};
+
+// Furniture and stations the layout editor places (see layout.js).
+// size: footprint [width, depth] before turning. areas: CONFIG.LAYOUT.AREAS it can stand in.
+// model: how it's built, and the station type for anything you interact with.
+// required: the café can't sell its last one. obstacle: what customers walk around, if not the whole footprint.
+const FURNITURE = {
+    espresso: { name: 'Espresso Machine', icon: '☕', price: 150, model: 'espresso', station: true, size: [0.7, 0.6], height: 0.6, areas: ['counter'], required: true },
+    milk: { name: 'Milk Steamer', icon: '🥛', price: 90, model: 'milk', station: true, size: [0.34, 0.3], height: 0.4, areas: ['counter'], required: true },
+    pastry: { name: 'Pastry Case', icon: '🥐', price: 60, model: 'pastry', station: true, size: [0.85, 0.55], height: 0.35, areas: ['counter'], required: true },
+    cup_dispenser: { name: 'Cup Dispenser', icon: '🥤', price: 20, model: 'cup_dispenser', station: true, size: [0.3, 0.3], height: 0.4, areas: ['counter'], required: true },
+    tray_stack: { name: 'Tray Stack', icon: '🍽️', price: 15, model: 'tray_stack', station: true, size: [0.45, 0.3], height: 0.08, areas: ['counter'] },
+    syrup_vanilla: { name: 'Vanilla Syrup', icon: '🍦', price: 15, model: 'syrup', station: true, syrupType: 'vanilla', color: 0xf5e6d3, size: [0.12, 0.12], height: 0.28, areas: ['counter'] },
+    syrup_caramel: { name: 'Caramel Syrup', icon: '🍯', price: 15, model: 'syrup', station: true, syrupType: 'caramel', color: 0xc68e17, size: [0.12, 0.12], height: 0.28, areas: ['counter'] },
+    syrup_chocolate: { name: 'Chocolate Syrup', icon: '🍫', price: 15, model: 'syrup', station: true, syrupType: 'chocolate', color: 0x3c1414, size: [0.12, 0.12], height: 0.28, areas: ['counter'] },
+    // Takes whatever the season brings (SEASONS[...].station)
+    syrup_seasonal: { name: 'Seasonal Syrup', icon: '🍂', price: 15, model: 'syrup', station: true, seasonal: true, size: [0.12, 0.12], height: 0.28, areas: ['counter'] },
+    trash: { name: 'Trash Bin', icon: '🗑️', price: 20, model: 'trash', station: true, size: [0.45, 0.45], height: 0.55, areas: ['floor', 'patio'], required: true },
+    // Tables seat two - the chairs are part of the footprint, but customers can walk between them
+    table: { name: 'Café Table', icon: '🪑', price: 60, model: 'table', seats: true, size: [1.6, 0.9], obstacle: [0.9, 0.9], height: 0.75, areas: ['patio', 'floor'] },
+    parasol_table: { name: 'Parasol Table', icon: '⛱️', price: 90, model: 'table', umbrella: true, seats: true, size: [1.6, 0.9], obstacle: [0.9, 0.9], height: 0.75, areas: ['patio', 'floor'] },
+    planter: { name: 'Planter', icon: '🪴', price: 25, model: 'planter', size: [0.5, 0.5], height: 0.8, areas: ['patio', 'floor'] }
 };
 
+// Where everything starts - a new run, or a save from before the layout editor
+const DEFAULT_LAYOUT = [
+    { kind: 'espresso', x: -2, z: -5 },
+    { kind: 'milk', x: -0.8, z: -5 },
+    { kind: 'pastry', x: -0.2, z: -5.4 },
+    { kind: 'cup_dispenser', x: 0.8, z: -5 },
+    { kind: 'tray_stack', x: 1.3, z: -5 },
+    { kind: 'syrup_vanilla', x: 1.8, z: -5 },
+    { kind: 'syrup_caramel', x: 2.1, z: -5 },
+    { kind: 'syrup_chocolate', x: 2.4, z: -5 },
+    { kind: 'syrup_seasonal', x: 2.7, z: -5 },
+    { kind: 'trash', x: -3.5, z: -4.7 },
+    { kind: 'parasol_table', x: -2.5, z: 1 },
+    { kind: 'parasol_table', x: 2.5, z: 1 },
+    { kind: 'parasol_table', x: -2.5, z: 4 },
+    { kind: 'parasol_table', x: 2.5, z: 4 },
+    { kind: 'table', x: 0, z: 5.5 }
+];
+
 // Queue positions for customers at counter
 const QUEUE_POSITIONS = [
     { x: 0, z: -2 },
@@ -58,13 +420,68 @@ const QUEUE_POSITIONS = [
     { x: 0.7, z: 0 }
 ];
 
-// Shop upgrades
+// Gameplay modifiers - base value and how multiple effects on the same stat combine
+// stack: 'multiply' (x1.2 and x1.1 -> x1.32), 'add' (+0.2 and +0.1 -> +0.3), 'max' (best one wins)
+const MODIFIERS = {
+    prepSpeed: { base: 1, stack: 'multiply' },             // Slower espresso marker, fewer milk taps
+    tipMultiplier: { base: 1, stack: 'multiply' },         // Scales every tip
+    satisfactionMultiplier: { base: 1, stack: 'multiply' } // Scales rating gains, softens losses
+};
+
+// Shop upgrades - effects are data, applied through the modifier registry
 const UPGRADES = [
-    { id: 'fasterPrep', name: 'Quick Hands', icon: '⚡', desc: 'Faster preparation', price: 50, effect: () => { gameState.modifiers.prepSpeed = 1.3; } },
-    { id: 'betterTips', name: 'Charm', icon: '💕', desc: '+20% tips', price: 75, effect: () => { gameState.modifiers.tipMultiplier = 1.2; } },
-    { id: 'premiumBeans', name: 'Premium Beans', icon: '✨', desc: 'Better quality coffee', price: 100, effect: () => { gameState.modifiers.satisfactionMultiplier = 1.25; } }
+    { id: 'fasterPrep', name: 'Quick Hands', icon: '⚡', desc: 'Faster preparation', price: 50, effects: [{ stat: 'prepSpeed', value: 1.3 }] },
+    { id: 'betterTips', name: 'Charm', icon: '💕', desc: '+20% tips', price: 75, effects: [{ stat: 'tipMultiplier', value: 1.2 }] },
+    { id: 'premiumBeans', name: 'Premium Beans', icon: '✨', desc: 'Better quality coffee', price: 100, effects: [{ stat: 'satisfactionMultiplier', value: 1.25 }] }
+];
+
+// Rebindable actions and their default keys (see settings.js).
+// Keys are physical positions (KeyboardEvent.code), so on AZERTY the same
+// defaults land on ZQSD / A / E - only the labels change.
+const CONTROLS = [
+    { id: 'moveForward', name: 'Move Forward', key: 'KeyW' },
+    { id: 'moveBackward', name: 'Move Back', key: 'KeyS' },
+    { id: 'moveLeft', name: 'Move Left', key: 'KeyA' },
+    { id: 'moveRight', name: 'Move Right', key: 'KeyD' },
+    { id: 'interact', name: 'Interact / Drop', key: 'KeyE' },
+    { id: 'throw', name: 'Throw (hold to charge)', key: 'KeyF' },
+    { id: 'cycleItem', name: 'Switch Held Item', key: 'KeyQ' },
+    { id: 'recipes', name: 'Toggle Recipes', key: 'KeyH' },
+    { id: 'shop', name: 'Upgrades & Supplier', key: 'Tab' }
 ];
 
+// Controller buttons (standard mapping indices) and their on-screen glyphs
+const GAMEPAD_BUTTONS = {
+    interact: { index: 0, glyph: 'Ⓐ' },
+    cancel: { index: 1, glyph: 'Ⓑ' },
+    cycleItem: { index: 2, glyph: 'Ⓧ' },
+    recipes: { index: 3, glyph: 'Ⓨ' },
+    throw: { index: 7, glyph: 'RT' },
+    shop: { index: 8, glyph: 'View' },
+    pause: { index: 9, glyph: 'Menu' }
+};
+
+// On-screen touch buttons, right side, bottom to top
+const TOUCH_BUTTONS = {
+    interact: { icon: '✋', label: 'Use' },
+    throw: { icon: '🎯', label: 'Throw' },
+    cycleItem: { icon: '🔄', label: 'Switch' },
+    recipes: { icon: '📋', label: 'Recipes' },
+    shop: { icon: '🛒', label: 'Shop' },
+    pause: { icon: '⏸️', label: 'Pause' }
+};
+
+// Key labels for layouts where they differ from the code name, used when the
+// browser can't tell us the layout itself
+const KEY_LAYOUTS = {
+    qwerty: {},
+    azerty: {
+        KeyQ: 'A', KeyA: 'Q', KeyW: 'Z', KeyZ: 'W', KeyM: ',', Semicolon: 'M',
+        Comma: ';', Period: ':', Slash: '!', Digit1: '&', Digit2: 'É', Digit3: '"',
+        Digit4: "'", Digit5: '(', Digit6: '-', Digit7: 'È', Digit8: '_', Digit9: 'Ç', Digit0: 'À'
+    }
+};
+
 // Colors for 3D models
 const COLORS = {
     // Building
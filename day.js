@@ -0,0 +1,209 @@
+// ============================================
+// CaféVibe - Day Cycle
+// Opening hours, rush hours, seasons, weather and end-of-day reports
+// ============================================
+
+// ============================================
+// DAY FLOW
+// ============================================
+function createDayStats() {
+    return {
+        revenue: 0,
+        tips: 0,
+        served: 0,
+        walkOuts: 0,
+        qualityTotal: 0,
+        expenses: 0,
+        ratingStart: gameState.rating
+    };
+}
+
+// Reset the clock to opening time and roll the weather (phase is set by the caller)
+function resetDay() {
+    gameState.dayTime = CONFIG.DAY.OPEN_HOUR;
+    gameState.dayStats = createDayStats();
+    gameState.weather = rollWeather();
+    updateClockDisplay();
+}
+
+function startDay() {
+    resetDay();
+    gameState.dayPhase = 'open';
+}
+
+function updateDay(delta) {
+    if (gameState.dayPhase === 'report') return;
+
+    const { OPEN_HOUR, CLOSE_HOUR, LENGTH } = CONFIG.DAY;
+    const hoursPerSecond = (CLOSE_HOUR - OPEN_HOUR) / LENGTH;
+
+    if (gameState.dayPhase === 'open') {
+        gameState.dayTime = Math.min(CLOSE_HOUR, gameState.dayTime + delta * hoursPerSecond);
+
+        if (gameState.dayTime >= CLOSE_HOUR) {
+            gameState.dayPhase = 'closing';
+            showNotification('Closing time! 🔒', 'Finish serving the customers inside');
+        }
+    }
+
+    // Doors are shut - the day ends once the last customer (and diner) is gone
+    if (gameState.dayPhase === 'closing' && gameState.customers.length === 0 && gameState.diners.length === 0) {
+        endDay();
+    }
+
+    updateClockDisplay();
+}
+
+function endDay() {
+    const stats = gameState.dayStats;
+    const report = {
+        day: gameState.day,
+        revenue: stats.revenue,
+        tips: stats.tips,
+        expenses: stats.expenses,
+        served: stats.served,
+        walkOuts: stats.walkOuts,
+        avgQuality: stats.served > 0 ? Math.round(stats.qualityTotal / stats.served) : 0,
+        ratingStart: stats.ratingStart,
+        ratingEnd: gameState.rating
+    };
+
+    // Roll over now so a save taken during the report resumes on the next morning
+    gameState.day++;
+    resetDay();
+    gameState.dayPhase = 'report';
+    gameState.isPaused = true;
+    saveRun();
+
+    unlockPointer();
+    showDayReport(report);
+}
+
+function startNextDay() {
+    document.getElementById('day-report').style.display = 'none';
+    gameState.dayPhase = 'open';
+    gameState.isPaused = false;
+
+    const weather = getWeather();
+    const newSeason = getSeasonId() !== getSeasonId(gameState.day - 1);
+    updateSeason();
+
+    if (newSeason) {
+        const season = getSeason();
+        const featured = getMenuItems().filter(item => item.season).map(item => `${item.icon} ${item.name}`);
+        showNotification(`${season.icon} ${season.name} is here - Day ${gameState.day}`, `New on the menu: ${featured.join(', ')}`);
+    } else {
+        showNotification(`Day ${gameState.day}`, `The café is open! ${weather.icon} ${weather.name} today`);
+    }
+    lockPointer();
+}
+
+// ============================================
+// RUSH HOURS
+// ============================================
+
+// Customer flow multiplier at a given hour (1 = normal, 2 = twice as busy)
+function getRushMultiplier(hour) {
+    let multiplier = 1;
+    CONFIG.DAY.RUSH_HOURS.forEach(rush => {
+        const offset = (hour - rush.peak) / rush.width;
+        multiplier += rush.strength * Math.exp(-offset * offset);
+    });
+    return multiplier;
+}
+
+// ============================================
+// SEASONS
+// ============================================
+
+// Season id for a day - they turn over every CONFIG.SEASON.LENGTH days
+function getSeasonId(day = gameState.day) {
+    const order = Object.keys(SEASONS);
+    const first = order.indexOf(CONFIG.SEASON.FIRST);
+    return order[(first + Math.floor((day - 1) / CONFIG.SEASON.LENGTH)) % order.length];
+}
+
+function getSeason() {
+    return SEASONS[getSeasonId()];
+}
+
+// Everything on the menu today - seasonal items only in their season
+function getMenuItems() {
+    const season = getSeasonId();
+    return MENU_ITEMS.filter(item => !item.season || item.season === season);
+}
+
+// Order weight multiplier - the season's own items get a push
+function getSeasonDemand(itemId) {
+    const item = MENU_ITEMS.find(i => i.id === itemId);
+    return item && item.season === getSeasonId() ? CONFIG.SEASON.FEATURED_DEMAND : 1;
+}
+
+// Restyle the world and the recipe card for the current season (new run, new day, back to the menu)
+function updateSeason() {
+    applySeason(getSeason());
+    renderRecipePanel();
+}
+
+// ============================================
+// WEATHER
+// ============================================
+
+// Today's weather id - its own stream, so it never shifts which customers turn up
+function rollWeather() {
+    const ids = Object.keys(WEATHER);
+    let roll = random('weather');
+    for (const id of ids) {
+        roll -= WEATHER[id].chance;
+        if (roll < 0) return id;
+    }
+    return ids[0];
+}
+
+function getWeather() {
+    return WEATHER[gameState.weather] || WEATHER.clear;
+}
+
+// Order weight multiplier for a menu item in today's weather
+function getWeatherDemand(itemId) {
+    return getWeather().demand[itemId] || 1;
+}
+
+// ============================================
+// UI
+// ============================================
+function formatClock(hour) {
+    const h = Math.floor(hour);
+    const m = Math.floor((hour - h) * 60);
+    const suffix = h >= 12 ? 'PM' : 'AM';
+    const h12 = h % 12 === 0 ? 12 : h % 12;
+    return `${h12}:${String(m).padStart(2, '0')} ${suffix}`;
+}
+
+function updateClockDisplay() {
+    document.getElementById('clock-display').textContent = formatClock(gameState.dayTime);
+    document.getElementById('day-display').textContent =
+        gameState.dayPhase === 'closing' ? 'Closing' : `Day ${gameState.day} ${getSeason().icon}${getWeather().icon}`;
+}
+
+function showDayReport(report) {
+    const ratingDelta = report.ratingEnd - report.ratingStart;
+    const deltaClass = ratingDelta > 0 ? 'positive' : ratingDelta < 0 ? 'negative' : '';
+    const deltaText = (ratingDelta >= 0 ? '+' : '') + ratingDelta.toFixed(1);
+
+    document.getElementById('report-title').textContent = `Day ${report.day} Complete`;
+    document.getElementById('report-stats').innerHTML = `
+        <div class="report-row"><span>💰 Revenue</span><span>$${report.revenue}</span></div>
+        <div class="report-row"><span>💕 Tips</span><span>$${report.tips}</span></div>
+        <div class="report-row"><span>🚚 Expenses</span><span>-$${report.expenses}</span></div>
+        <div class="report-row"><span>📈 Profit</span><span>$${report.revenue + report.tips - report.expenses}</span></div>
+        <div class="report-row"><span>👥 Customers served</span><span>${report.served}</span></div>
+        <div class="report-row"><span>😤 Walk-outs</span><span>${report.walkOuts}</span></div>
+        <div class="report-row"><span>✨ Average quality</span><span>${report.avgQuality}%</span></div>
+        <div class="report-row"><span>⭐ Rating</span>
+            <span>${report.ratingStart.toFixed(1)} → ${report.ratingEnd.toFixed(1)}
+                <span class="report-delta ${deltaClass}">(${deltaText})</span></span></div>
+    `;
+    document.getElementById('next-day-btn').textContent = `Open Day ${gameState.day}`;
+    document.getElementById('day-report').style.display = 'flex';
+}
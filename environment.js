@@ -3,6 +3,51 @@
 // Modern compact café with outdoor seating
 // ============================================
 
+// Footprints customers have to walk around, filled in as the world is built (see navigation.js)
+const NAV_OBSTACLES = [];
+
+function addNavObstacle(x, z, width, depth) {
+    NAV_OBSTACLES.push({ x, z, width, depth });
+}
+
+// Scene pieces the time of day, weather and seasons restyle, filled in as the world is built (see weather.js)
+const SCENERY = {
+    sky: null,
+    skyTint: new THREE.Color(1, 1, 1),
+    clouds: [],          // Cloud materials
+    wetSurfaces: [],     // { material, dryColor, dryRoughness }
+    grass: null,         // The grass's wetSurfaces entry
+    foliage: [[], [], []], // Tree canopy materials, bottom layer to top
+    seasonalSyrups: [],  // Bottles that follow the season (see layout.js)
+    roof: [],            // Hidden while build mode looks down into the café
+    ambient: null,
+    sun: null,
+    interiorLights: []   // Point lights, each with userData.baseIntensity
+};
+
+// Ground that darkens and turns glossy in the rain
+function addWetSurface(material) {
+    const surface = { material, dryColor: material.color.clone(), dryRoughness: material.roughness };
+    SCENERY.wetSurfaces.push(surface);
+    return surface;
+}
+
+// Repaint the world for a season (see SEASONS) - the rain still darkens the new grass
+function applySeason(season) {
+    SCENERY.foliage.forEach((materials, layer) => {
+        materials.forEach(material => material.color.setHex(season.foliage[layer]));
+    });
+    if (SCENERY.grass) SCENERY.grass.dryColor.setHex(season.grass);
+    SCENERY.skyTint.setHex(season.skyTint);
+
+    SCENERY.seasonalSyrups.forEach(syrup => {
+        syrup.userData.syrupType = season.station.ingredient;
+        syrup.children[0].material.color.setHex(season.station.color);
+    });
+
+    if (fallingLeaves) setFallingParticles(fallingLeaves, season.particles);
+}
+
 // Build the entire game world
 function buildWorld(scene) {
     // Add sky with clouds
@@ -14,10 +59,7 @@ function buildWorld(scene) {
     // Café building (compact, modern)
     createCafe(scene);
 
-    // Outdoor seating area
-    createOutdoorSeating(scene);
-
-    // Maple trees with falling leaves
+    // Maple trees, dressed for the season by applySeason
     createMapleTrees(scene);
 
     // Street and surroundings
@@ -58,6 +100,7 @@ function createSky(scene) {
 
     const sky = new THREE.Mesh(skyGeo, skyMat);
     scene.add(sky);
+    SCENERY.sky = sky;
 
     // Clouds
     const cloudMat = new THREE.MeshBasicMaterial({
@@ -69,11 +112,11 @@ function createSky(scene) {
     for (let i = 0; i < 15; i++) {
         const cloud = createCloud();
         cloud.position.set(
-            (Math.random() - 0.5) * 150,
-            30 + Math.random() * 30,
-            (Math.random() - 0.5) * 150
+            (random('world') - 0.5) * 150,
+            30 + random('world') * 30,
+            (random('world') - 0.5) * 150
         );
-        cloud.scale.setScalar(1 + Math.random() * 2);
+        cloud.scale.setScalar(1 + random('world') * 2);
         scene.add(cloud);
     }
 }
@@ -85,6 +128,7 @@ function createCloud() {
         transparent: true,
         opacity: 0.85
     });
+    SCENERY.clouds.push(cloudMat);
 
     // Multiple spheres for fluffy cloud
     const positions = [
@@ -124,6 +168,7 @@ function createGround(scene) {
     ground.position.y = -0.01;
     ground.receiveShadow = true;
     scene.add(ground);
+    SCENERY.grass = addWetSurface(groundMat);
 
     // Stone pathway from street to café
     const pathMat = new THREE.MeshStandardMaterial({
@@ -138,6 +183,7 @@ function createGround(scene) {
     path.position.set(0, 0.01, 5);
     path.receiveShadow = true;
     scene.add(path);
+    addWetSurface(pathMat);
 
     // Patio area (stone)
     const patio = new THREE.Mesh(
@@ -197,6 +243,7 @@ function createCafe(scene) {
     backWall.position.set(0, 1.75, -6.4);
     backWall.castShadow = true;
     cafeGroup.add(backWall);
+    addNavObstacle(0, -6.4, 8, 0.2);
 
     // Left wall (solid)
     const leftWall = new THREE.Mesh(
@@ -206,6 +253,7 @@ function createCafe(scene) {
     leftWall.position.set(-3.9, 1.75, -4);
     leftWall.castShadow = true;
     cafeGroup.add(leftWall);
+    addNavObstacle(-3.9, -4, 0.2, 5);
 
     // Right wall (solid)
     const rightWall = new THREE.Mesh(
@@ -215,6 +263,7 @@ function createCafe(scene) {
     rightWall.position.set(3.9, 1.75, -4);
     rightWall.castShadow = true;
     cafeGroup.add(rightWall);
+    addNavObstacle(3.9, -4, 0.2, 5);
 
     // Front wall - left section (with door hole)
     const frontWallLeft = new THREE.Mesh(
@@ -272,6 +321,7 @@ function createCafe(scene) {
     roof.position.set(0, 3.65, -4);
     roof.castShadow = true;
     cafeGroup.add(roof);
+    SCENERY.roof.push(roof);
 
     // Orange accent stripe
     const accent = new THREE.Mesh(
@@ -280,6 +330,7 @@ function createCafe(scene) {
     );
     accent.position.set(0, 3.45, -4);
     cafeGroup.add(accent);
+    SCENERY.roof.push(accent);
 
     // Awning over entrance
     const awning = new THREE.Mesh(
@@ -297,30 +348,24 @@ function createCafe(scene) {
     doorFrame.position.set(-2.5, 1.15, -1.45);
     cafeGroup.add(doorFrame);
 
-    // Counter
+    // Front wall is solid either side of the door frame - customers come in through the door
+    addNavObstacle(-3.5, -1.5, 0.9, 0.2);
+    addNavObstacle(1.025, -1.5, 5.95, 0.2);
+
+    // Counter - the stations on it are placed by the layout (see layout.js)
     const counter = createCounter();
     counter.position.set(0, 0, -5.2);
     cafeGroup.add(counter);
+    addNavObstacle(0, -5.5, 6, 0.8);
 
     // Decorative elements outside
     // Planters
-    const planterMat = new THREE.MeshStandardMaterial({ color: 0x5a4535 });
-    const plantMat = new THREE.MeshStandardMaterial({ color: 0x2d5a27 });
-
     [-3, 3].forEach(x => {
-        const planter = new THREE.Mesh(
-            new THREE.BoxGeometry(0.5, 0.4, 0.5),
-            planterMat
-        );
-        planter.position.set(x, 0.2, -1);
+        const planter = createPlanter();
+        planter.position.set(x, 0, -1);
         cafeGroup.add(planter);
 
-        const plant = new THREE.Mesh(
-            new THREE.SphereGeometry(0.3, 8, 8),
-            plantMat
-        );
-        plant.position.set(x, 0.55, -1);
-        cafeGroup.add(plant);
+        addNavObstacle(x, -1, 0.5, 0.5);
     });
 
     // Sign
@@ -340,6 +385,7 @@ function createCafe(scene) {
 
     signGroup.position.set(0, 4.1, -1.3);
     cafeGroup.add(signGroup);
+    SCENERY.roof.push(signGroup);
 
     scene.add(cafeGroup);
 
@@ -506,50 +552,10 @@ function createCounter() {
     top.position.y = 1.05;
     counterGroup.add(top);
 
-    // Equipment on counter (facing player)
-    const espresso = createEspressoMachine();
-    espresso.position.set(-2, 1.1, 0.2);
-    espresso.userData = { type: 'espresso', interactable: true };
-    counterGroup.add(espresso);
-
-    const milk = createMilkStation();
-    milk.position.set(-0.8, 1.1, 0.2);
-    milk.userData = { type: 'milk', interactable: true };
-    counterGroup.add(milk);
-
-    const cups = createCupDispenser();
-    cups.position.set(0.8, 1.1, 0.2);
-    cups.userData = { type: 'cup_dispenser', interactable: true };
-    counterGroup.add(cups);
-
-    // Syrups
-    const syrupX = [1.8, 2.1, 2.4];
-    const syrupColors = [0xf5e6d3, 0xc68e17, 0x3c1414];
-    const syrupTypes = ['vanilla', 'caramel', 'chocolate'];
-
-    syrupX.forEach((x, i) => {
-        const syrup = createSyrupBottle(syrupColors[i]);
-        syrup.position.set(x, 1.1, 0.2);
-        syrup.userData = { type: 'syrup', syrupType: syrupTypes[i], interactable: true };
-        counterGroup.add(syrup);
-    });
-
-    // Pastry display
-    const pastryCase = createPastryDisplay();
-    pastryCase.position.set(-0.2, 1.1, -0.2);
-    pastryCase.userData = { type: 'pastry', interactable: true };
-    counterGroup.add(pastryCase);
-
-    // Trash bin beside counter
-    const trash = createTrashBin();
-    trash.position.set(-3.5, 0, 0.5);
-    trash.userData = { type: 'trash', interactable: true };
-    counterGroup.add(trash);
-
     return counterGroup;
 }
 
-// Equipment creation functions
+// Equipment creation functions (placed on the counter by the layout, see layout.js)
 function createEspressoMachine() {
     const group = new THREE.Group();
     const bodyMat = new THREE.MeshStandardMaterial({ color: 0xc0392b, metalness: 0.8, roughness: 0.2 });
@@ -607,6 +613,19 @@ function createCupDispenser() {
     return group;
 }
 
+function createTrayStack() {
+    const group = new THREE.Group();
+    const trayMat = new THREE.MeshStandardMaterial({ color: 0x5a4a3a, roughness: 0.6 });
+
+    for (let i = 0; i < 3; i++) {
+        const tray = new THREE.Mesh(new THREE.BoxGeometry(0.45, 0.02, 0.3), trayMat);
+        tray.position.y = 0.01 + i * 0.025;
+        group.add(tray);
+    }
+
+    return group;
+}
+
 function createSyrupBottle(color) {
     const group = new THREE.Group();
     const bottleMat = new THREE.MeshStandardMaterial({
@@ -655,7 +674,7 @@ function createPastryDisplay() {
     for (let i = -0.2; i <= 0.2; i += 0.2) {
         const pastry = new THREE.Mesh(
             new THREE.SphereGeometry(0.06, 8, 8),
-            new THREE.MeshStandardMaterial({ color: pastryColors[Math.floor(Math.random() * 3)] })
+            new THREE.MeshStandardMaterial({ color: pastryColors[Math.floor(random('world') * 3)] })
         );
         pastry.scale.y = 0.6;
         pastry.position.set(i, 0.1, 0);
@@ -681,46 +700,53 @@ function createTrashBin() {
 }
 
 // ============================================
-// OUTDOOR SEATING
+// SEATING & DECOR
 // ============================================
-function createOutdoorSeating(scene) {
-    const seatingGroup = new THREE.Group();
-
-    // Tables and chairs positions (on patio)
-    const tablePositions = [
-        { x: -2.5, z: 1 },
-        { x: 2.5, z: 1 },
-        { x: -2.5, z: 4 },
-        { x: 2.5, z: 4 },
-        { x: 0, z: 5.5 }
-    ];
 
-    tablePositions.forEach(pos => {
-        // Use HQ models if available
-        const table = typeof createHQTable === 'function' ? createHQTable() : createOutdoorTable();
-        table.position.set(pos.x, 0, pos.z);
-        seatingGroup.add(table);
-
-        // Chairs facing table (2 per table) - use HQ models
-        const chair1 = typeof createHQChair === 'function' ? createHQChair() : createOutdoorChair();
-        chair1.position.set(pos.x - 0.6, 0, pos.z);
-        chair1.rotation.y = Math.PI / 2; // Face inward
-        seatingGroup.add(chair1);
-
-        const chair2 = typeof createHQChair === 'function' ? createHQChair() : createOutdoorChair();
-        chair2.position.set(pos.x + 0.6, 0, pos.z);
-        chair2.rotation.y = -Math.PI / 2; // Face inward
-        seatingGroup.add(chair2);
-    });
+// Chairs sit this far either side of their table - also the seats customers reserve, see seating.js
+const PATIO_CHAIR_OFFSET = 0.6;
 
-    // Umbrellas
-    tablePositions.slice(0, 4).forEach(pos => {
-        const umbrella = createUmbrella();
-        umbrella.position.set(pos.x, 0, pos.z);
-        seatingGroup.add(umbrella);
-    });
+// A table with a chair either side, facing in (placed by the layout, see layout.js)
+function createTableSet(withUmbrella) {
+    const group = new THREE.Group();
+
+    // Use HQ models if available
+    const table = typeof createHQTable === 'function' ? createHQTable() : createOutdoorTable();
+    group.add(table);
+
+    const chair1 = typeof createHQChair === 'function' ? createHQChair() : createOutdoorChair();
+    chair1.position.x = -PATIO_CHAIR_OFFSET;
+    chair1.rotation.y = Math.PI / 2; // Face inward
+    group.add(chair1);
 
-    scene.add(seatingGroup);
+    const chair2 = typeof createHQChair === 'function' ? createHQChair() : createOutdoorChair();
+    chair2.position.x = PATIO_CHAIR_OFFSET;
+    chair2.rotation.y = -Math.PI / 2; // Face inward
+    group.add(chair2);
+
+    if (withUmbrella) group.add(createUmbrella());
+
+    return group;
+}
+
+function createPlanter() {
+    const group = new THREE.Group();
+
+    const planter = new THREE.Mesh(
+        new THREE.BoxGeometry(0.5, 0.4, 0.5),
+        new THREE.MeshStandardMaterial({ color: 0x5a4535 })
+    );
+    planter.position.y = 0.2;
+    group.add(planter);
+
+    const plant = new THREE.Mesh(
+        new THREE.SphereGeometry(0.3, 8, 8),
+        new THREE.MeshStandardMaterial({ color: 0x2d5a27 })
+    );
+    plant.position.y = 0.55;
+    group.add(plant);
+
+    return group;
 }
 
 function createOutdoorTable() {
@@ -816,7 +842,7 @@ function createMapleTrees(scene) {
     treePositions.forEach(pos => {
         const tree = createMapleTree();
         tree.position.set(pos.x, 0, pos.z);
-        tree.rotation.y = Math.random() * Math.PI * 2;
+        tree.rotation.y = random('world') * Math.PI * 2;
         scene.add(tree);
     });
 }
@@ -824,7 +850,6 @@ function createMapleTrees(scene) {
 function createMapleTree() {
     const group = new THREE.Group();
     const trunkMat = new THREE.MeshStandardMaterial({ color: 0x4a3728 });
-    const leafMat = new THREE.MeshStandardMaterial({ color: 0xcc4422 }); // Red maple
 
     // Trunk
     const trunk = new THREE.Mesh(new THREE.CylinderGeometry(0.15, 0.25, 2, 8), trunkMat);
@@ -832,16 +857,16 @@ function createMapleTree() {
     trunk.castShadow = true;
     group.add(trunk);
 
-    // Foliage layers (autumn colors)
+    // Foliage layers (autumn colors until applySeason says otherwise)
     const foliageColors = [0xcc4422, 0xdd6633, 0xee8844];
     const foliageHeights = [2.5, 3.2, 3.8];
     const foliageSizes = [1.8, 1.4, 0.9];
 
     foliageColors.forEach((color, i) => {
-        const foliage = new THREE.Mesh(
-            new THREE.SphereGeometry(foliageSizes[i], 8, 8),
-            new THREE.MeshStandardMaterial({ color: color })
-        );
+        const material = new THREE.MeshStandardMaterial({ color: color });
+        SCENERY.foliage[i].push(material);
+
+        const foliage = new THREE.Mesh(new THREE.SphereGeometry(foliageSizes[i], 8, 8), material);
         foliage.position.y = foliageHeights[i];
         foliage.scale.y = 0.7;
         foliage.castShadow = true;
@@ -861,6 +886,7 @@ function createStreet(scene) {
     road.rotation.x = -Math.PI / 2;
     road.position.set(0, 0.01, 12);
     scene.add(road);
+    addWetSurface(roadMat);
 
     // Road markings
     const markingMat = new THREE.MeshBasicMaterial({ color: 0xffff00 });
@@ -876,6 +902,7 @@ function createStreet(scene) {
 
     // Sidewalk
     const sidewalkMat = new THREE.MeshStandardMaterial({ color: 0x888888 });
+    addWetSurface(sidewalkMat);
     const sidewalk = new THREE.Mesh(new THREE.PlaneGeometry(100, 2), sidewalkMat);
     sidewalk.rotation.x = -Math.PI / 2;
     sidewalk.position.set(0, 0.015, 9);
@@ -885,10 +912,13 @@ function createStreet(scene) {
 // ============================================
 // LIGHTING
 // ============================================
+
+// Starting values - weather.js moves the sun and dims / brightens these through the day
 function setupLighting(scene) {
     // Ambient light - warm
     const ambient = new THREE.AmbientLight(0xffeedd, 0.4);
     scene.add(ambient);
+    SCENERY.ambient = ambient;
 
     // Main directional light (sun) - warm autumn
     const sun = new THREE.DirectionalLight(0xffddaa, 0.8);
@@ -903,6 +933,7 @@ function setupLighting(scene) {
     sun.shadow.camera.top = 20;
     sun.shadow.camera.bottom = -20;
     scene.add(sun);
+    SCENERY.sun = sun;
 
     // Interior point lights (café)
     const interiorLight = new THREE.PointLight(0xffaa77, 0.8, 10);
@@ -917,10 +948,16 @@ function setupLighting(scene) {
     const accentLight2 = new THREE.PointLight(0xff9955, 0.5, 8);
     accentLight2.position.set(2, 2, -5);
     scene.add(accentLight2);
+
+    [interiorLight, accentLight1, accentLight2].forEach(light => {
+        light.userData.baseIntensity = light.intensity;
+        SCENERY.interiorLights.push(light);
+    });
 }
 
 // ============================================
-// FALLING MAPLE LEAVES PARTICLE SYSTEM
+// FALLING LEAVES PARTICLE SYSTEM
+// Maple leaves, blossom or snow depending on the season
 // ============================================
 function createFallingLeaves(scene) {
     const leafCount = 100;
@@ -937,16 +974,16 @@ function createFallingLeaves(scene) {
     ];
 
     for (let i = 0; i < leafCount; i++) {
-        positions[i * 3] = (Math.random() - 0.5) * 30;
-        positions[i * 3 + 1] = Math.random() * 15 + 5;
-        positions[i * 3 + 2] = (Math.random() - 0.5) * 30;
+        positions[i * 3] = (random('world') - 0.5) * 30;
+        positions[i * 3 + 1] = random('world') * 15 + 5;
+        positions[i * 3 + 2] = (random('world') - 0.5) * 30;
 
-        const color = leafColors[Math.floor(Math.random() * leafColors.length)];
+        const color = leafColors[Math.floor(random('world') * leafColors.length)];
         colors[i * 3] = color.r;
         colors[i * 3 + 1] = color.g;
         colors[i * 3 + 2] = color.b;
 
-        sizes[i] = 0.1 + Math.random() * 0.15;
+        sizes[i] = 0.1 + random('world') * 0.15;
     }
 
     leafGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
@@ -962,13 +999,16 @@ function createFallingLeaves(scene) {
 
     const leaves = new THREE.Points(leafGeometry, leafMaterial);
     leaves.userData.velocities = [];
+    leaves.userData.start = positions.slice(); // Where every run starts them, see resetFallingLeaves
+    leaves.userData.time = 0; // Drives the sideways drift
+    leaves.userData.fall = 1; // Fall speed multiplier - snow drifts, leaves drop
 
     for (let i = 0; i < leafCount; i++) {
         leaves.userData.velocities.push({
-            x: (Math.random() - 0.5) * 0.02,
-            y: -0.01 - Math.random() * 0.02,
-            z: (Math.random() - 0.5) * 0.02,
-            rotSpeed: Math.random() * 0.1
+            x: (random('world') - 0.5) * 0.02,
+            y: -0.01 - random('world') * 0.02,
+            z: (random('world') - 0.5) * 0.02,
+            rotSpeed: random('world') * 0.1
         });
     }
 
@@ -976,25 +1016,56 @@ function createFallingLeaves(scene) {
     return leaves;
 }
 
+// Back to where they were at page load - leaves fall on the sim clock, so a run
+// (and its replay) has to start them from the same place
+function resetFallingLeaves(leaves) {
+    leaves.geometry.attributes.position.array.set(leaves.userData.start);
+    leaves.geometry.attributes.position.needsUpdate = true;
+    leaves.userData.time = 0;
+}
+
+// Recolour the particles for a season's { colors, size, fall } - null hides them
+function setFallingParticles(leaves, particles) {
+    leaves.visible = !!particles;
+    if (!particles) return;
+
+    const colors = leaves.geometry.attributes.color.array;
+    for (let i = 0; i < colors.length; i += 3) {
+        const color = new THREE.Color(particles.colors[(i / 3) % particles.colors.length]);
+        colors[i] = color.r;
+        colors[i + 1] = color.g;
+        colors[i + 2] = color.b;
+    }
+    leaves.geometry.attributes.color.needsUpdate = true;
+
+    leaves.material.size = particles.size;
+    leaves.userData.fall = particles.fall;
+}
+
 function updateFallingLeaves(leaves, delta) {
-    if (!leaves) return;
+    if (!leaves || !leaves.visible) return;
 
     const positions = leaves.geometry.attributes.position.array;
     const velocities = leaves.userData.velocities;
 
+    // Velocities are tuned per 60Hz frame
+    const frames = delta * 60;
+    leaves.userData.time += delta;
+    const t = leaves.userData.time;
+
     for (let i = 0; i < velocities.length; i++) {
         const vel = velocities[i];
 
         // Update position
-        positions[i * 3] += vel.x + Math.sin(Date.now() * 0.001 + i) * 0.01;
-        positions[i * 3 + 1] += vel.y;
-        positions[i * 3 + 2] += vel.z + Math.cos(Date.now() * 0.001 + i) * 0.01;
+        positions[i * 3] += (vel.x + Math.sin(t + i) * 0.01) * frames;
+        positions[i * 3 + 1] += vel.y * leaves.userData.fall * frames;
+        positions[i * 3 + 2] += (vel.z + Math.cos(t + i) * 0.01) * frames;
 
         // Reset if below ground
         if (positions[i * 3 + 1] < 0) {
-            positions[i * 3] = (Math.random() - 0.5) * 30;
-            positions[i * 3 + 1] = 15 + Math.random() * 5;
-            positions[i * 3 + 2] = (Math.random() - 0.5) * 30;
+            positions[i * 3] = (random('cosmetics') - 0.5) * 30;
+            positions[i * 3 + 1] = 15 + random('cosmetics') * 5;
+            positions[i * 3 + 2] = (random('cosmetics') - 0.5) * 30;
         }
     }
 
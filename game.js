@@ -24,13 +24,31 @@ const gameState = {
     customersServed: 0,
     activeOrders: [],
     customers: [],
-    menuPrices: {}
+    queue: [],         // Customers in line, front first, see queue.js
+    diners: [],        // Served customers sitting on the patio, see seating.js
+    walkOuts: [],
+    menuPrices: {},
+    ownedUpgrades: [],
+    modifiers: {},
+    day: 1,
+    dayTime: 7,        // Hour of the day, see CONFIG.DAY
+    dayPhase: 'open',  // open -> closing -> report
+    weather: 'clear',  // WEATHER id, rolled each morning
+    dayStats: null,
+    elapsed: 0,        // Seconds of unpaused play, used for drink freshness
+    spawnTimer: 0,     // Seconds until the next customer turns up
+    inventory: {},
+    pendingDeliveries: [],
+    ledger: [],
+    layout: []         // Placed stations and furniture, see layout.js
 };
 
-// Physics grab system
+// Carry system - what's in the barista's hands lives in heldItems
 let physicsState = {
-    grabbedObject: null,
-    isGrabbing: false
+    tray: null,        // Tray mesh while carrying one (raises capacity)
+    activeIndex: 0,    // Which held item stations, dropping and serving act on
+    looseItems: [],    // Dropped / thrown items lying around, oldest first
+    throwCharge: null  // 0-1 while the throw button is held
 };
 
 // Mini-game state
@@ -39,6 +57,7 @@ let miniGameState = {
     type: null,
     markerPos: 0,
     markerDirection: 1,
+    markerSpeed: 1.2,
     targetStart: 35,
     targetEnd: 65,
     tapProgress: 0,
@@ -47,11 +66,11 @@ let miniGameState = {
     callback: null
 };
 
-// Held items (for serving)
+// Held items (cups and pastries being carried)
 let heldItems = [];
 
-// Audio context
-let audioContext, masterGain;
+// Audio context - music and SFX each have a bus into the master volume
+let audioContext, masterGain, musicBus, sfxBus;
 
 // ============================================
 // INITIALIZATION
@@ -98,6 +117,7 @@ async function init() {
 
     // Create falling leaves
     fallingLeaves = createFallingLeaves(scene);
+    initWeather();
 
     // Initialize physics
     if (typeof initPhysics === 'function') {
@@ -113,13 +133,23 @@ async function init() {
         }
     });
 
+    // Stations and furniture (adds their own interactables, colliders and nav obstacles)
+    initLayout(scene);
+
     // Setup input
     clock = new THREE.Clock();
     raycaster = new THREE.Raycaster();
 
     setupEventListeners();
+    registerSimSystems();
     setupAudio();
+    initSettings();
+    initGamepad();
+    initTouchControls();
+    initMusic();
+    initSfx();
     initMenuPrices();
+    updateSeason();
 
     updateLoadingProgress(100);
 
@@ -127,6 +157,7 @@ async function init() {
     setTimeout(() => {
         document.getElementById('loading-screen').style.display = 'none';
         document.getElementById('blocker').style.display = 'flex';
+        updateContinueButton();
     }, 500);
 
     // Start render loop
@@ -138,12 +169,6 @@ function updateLoadingProgress(percent) {
     if (fill) fill.style.width = percent + '%';
 }
 
-function initMenuPrices() {
-    MENU_ITEMS.forEach(item => {
-        gameState.menuPrices[item.id] = item.basePrice;
-    });
-}
-
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -151,83 +176,125 @@ function setupEventListeners() {
     // Pointer lock
     renderer.domElement.addEventListener('click', () => {
         if (gameState.isPlaying && !gameState.isPaused && !miniGameState.active) {
-            renderer.domElement.requestPointerLock();
+            lockPointer();
         }
     });
 
     document.addEventListener('pointerlockchange', () => {
         if (document.pointerLockElement === renderer.domElement) {
-            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mousemove', onLiveMouseMove);
         } else {
-            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mousemove', onLiveMouseMove);
         }
     });
 
     // Keyboard
-    document.addEventListener('keydown', onKeyDown);
-    document.addEventListener('keyup', onKeyUp);
+    // Input is queued for the next sim tick, see replay.js
+    document.addEventListener('keydown', onLiveKeyDown);
+    document.addEventListener('keyup', onLiveKeyUp);
 
     // Window resize
     window.addEventListener('resize', onWindowResize);
 
+    // Save before the tab goes away
+    window.addEventListener('beforeunload', () => saveRun());
+
     // Music controls
     document.querySelectorAll('.music-track').forEach(track => {
-        track.addEventListener('click', () => {
-            document.querySelectorAll('.music-track').forEach(t => t.classList.remove('active'));
-            track.classList.add('active');
-        });
+        const choice = track.dataset.track;
+        track.addEventListener('click', () => setMusicTrack(choice === 'auto' ? choice : Number(choice)));
     });
 
     document.getElementById('volume-slider').addEventListener('input', (e) => {
-        if (masterGain) masterGain.gain.value = e.target.value / 100;
+        updateSetting('volume', Number(e.target.value));
     });
 }
 
 function onMouseMove(event) {
     if (!gameState.isPlaying || gameState.isPaused) return;
 
+    const { sensitivity, invertY } = getControls();
+    const lookSpeed = CONFIG.LOOK_SPEED * sensitivity;
     const movementX = event.movementX || 0;
-    const movementY = event.movementY || 0;
+    const movementY = (event.movementY || 0) * (invertY ? -1 : 1);
 
     camera.rotation.order = 'YXZ';
-    camera.rotation.y -= movementX * 0.002;
-    camera.rotation.x -= movementY * 0.002;
+    camera.rotation.y -= movementX * lookSpeed;
+    camera.rotation.x -= movementY * lookSpeed;
     camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, camera.rotation.x));
 }
 
 function onKeyDown(event) {
     if (!gameState.isPlaying) return;
 
-    switch (event.code) {
-        case 'KeyW': moveForward = true; break;
-        case 'KeyS': moveBackward = true; break;
-        case 'KeyA': moveLeft = true; break;
-        case 'KeyD': moveRight = true; break;
-        case 'KeyE': tryInteract(); break;
-        case 'KeyH': toggleRecipePanel(); break;
-        case 'Tab':
-            event.preventDefault();
+    // ESC isn't rebindable - browsers use it to release the mouse
+    if (event.code === 'Escape') {
+        triggerAction('pause');
+        return;
+    }
+
+    const action = getBoundAction(event.code);
+    switch (action) {
+        case 'moveForward': moveForward = true; break;
+        case 'moveBackward': moveBackward = true; break;
+        case 'moveLeft': moveLeft = true; break;
+        case 'moveRight': moveRight = true; break;
+        default:
+            if (action) triggerAction(action);
+    }
+}
+
+// Letting go of a held action (only throwing cares)
+function releaseAction(action) {
+    if (action === 'throw') releaseThrow();
+}
+
+// One-shot actions, shared by the keyboard and controller
+function triggerAction(action) {
+    switch (action) {
+        case 'interact': tryInteract(); break;
+        case 'recipes': toggleRecipePanel(); break;
+        case 'cycleItem': cycleHeldItem(); break;
+        case 'throw': startThrowCharge(); break;
+        case 'shop':
             if (!gameState.isPaused) openShop();
             break;
-        case 'Escape':
+        case 'pause':
             // Cancel mini-game first
             if (miniGameState.active) {
                 cancelMiniGame();
             } else if (document.getElementById('shop-modal').style.display === 'flex') {
                 closeShop();
+            } else if (isBuildModeOpen()) {
+                cancelBuildStep();
+            } else if (gameState.dayPhase === 'report') {
+                // End-of-day report has its own buttons
             } else {
                 togglePause();
             }
             break;
+        case 'cancel':
+            // Back out of whatever is open, but never pause
+            if (document.getElementById('shop-modal').style.display === 'flex') {
+                closeShop();
+            } else if (isBuildModeOpen()) {
+                cancelBuildStep();
+            } else if (gameState.isPaused && gameState.dayPhase !== 'report') {
+                resumeGame();
+            }
+            break;
     }
 }
 
 function onKeyUp(event) {
-    switch (event.code) {
-        case 'KeyW': moveForward = false; break;
-        case 'KeyS': moveBackward = false; break;
-        case 'KeyA': moveLeft = false; break;
-        case 'KeyD': moveRight = false; break;
+    const action = getBoundAction(event.code);
+    switch (action) {
+        case 'moveForward': moveForward = false; break;
+        case 'moveBackward': moveBackward = false; break;
+        case 'moveLeft': moveLeft = false; break;
+        case 'moveRight': moveRight = false; break;
+        default:
+            if (action) releaseAction(action);
     }
 }
 
@@ -240,7 +307,12 @@ function onWindowResize() {
 // ============================================
 // GAME FLOW
 // ============================================
-function startGame(mode) {
+function startGame(mode, save = null) {
+    // Every roll this run comes from the seed - typed in, or a fresh one
+    const seedInput = document.getElementById('seed-input');
+    seedRandom(seedInput.value.trim() || generateSeed());
+    seedInput.value = '';
+
     gameState.mode = mode;
     gameState.isPlaying = true;
     gameState.money = CONFIG.STARTING_MONEY;
@@ -248,7 +320,36 @@ function startGame(mode) {
     gameState.customersServed = 0;
     gameState.activeOrders = [];
     gameState.customers = [];
-    heldItems = [];
+    gameState.queue = [];
+    gameState.walkOuts = [];
+    gameState.ownedUpgrades = [];
+    gameState.ledger = [];
+    clearHeldItems();
+    clearLooseItems();
+    resetPadInput();
+    resetTouchInput();
+
+    initMenuPrices();
+    initInventory();
+    gameState.layout = createDefaultLayout();
+    initSeating();
+    recomputeModifiers();
+
+    gameState.day = 1;
+    startDay();
+    resetSimClock();
+    resetFallingLeaves(fallingLeaves);
+    gameState.elapsed = 0;
+    gameState.spawnTimer = CONFIG.FIRST_CUSTOMER_DELAY;
+
+    // Continue a saved run
+    if (save) applySave(save);
+
+    // What a replay starts from - taken before the café is built, because a replay
+    // rebuilds it too (building rolls the world stream)
+    const start = serializeRun();
+    buildLayout();
+    updateSeason();
 
     document.getElementById('blocker').style.display = 'none';
     document.getElementById('hud').style.display = 'block';
@@ -260,11 +361,10 @@ function startGame(mode) {
 
     updateHUD();
 
-    // Start spawning customers
-    setTimeout(spawnCustomer, 1000);
-    spawnCustomerLoop();
+    startAutosave();
+    startRecording(start);
 
-    renderer.domElement.requestPointerLock();
+    lockPointer();
 }
 
 function togglePause() {
@@ -272,32 +372,45 @@ function togglePause() {
     document.getElementById('pause-menu').style.display = gameState.isPaused ? 'flex' : 'none';
 
     if (gameState.isPaused) {
-        document.exitPointerLock();
+        document.getElementById('pause-seed').textContent = `Seed: ${getSeed()}`;
+        unlockPointer();
+        saveRun();
     }
 }
 
 function resumeGame() {
     gameState.isPaused = false;
     document.getElementById('pause-menu').style.display = 'none';
-    renderer.domElement.requestPointerLock();
+    lockPointer();
 }
 
 function quitToMenu() {
+    saveRun();
+    stopAutosave();
+    stopReplay();
+
     gameState.isPlaying = false;
     gameState.isPaused = false;
 
     // Clear customers
     gameState.customers.forEach(c => scene.remove(c));
     gameState.customers = [];
+    gameState.queue = [];
     gameState.activeOrders = [];
+    clearHeldItems();
+    clearLooseItems();
+    clearSeating();
+    clearNavAgents();
 
     document.getElementById('pause-menu').style.display = 'none';
+    document.getElementById('day-report').style.display = 'none';
     document.getElementById('hud').style.display = 'none';
     document.getElementById('crosshair').style.display = 'none';
     document.getElementById('orders-panel').innerHTML = '';
     document.getElementById('blocker').style.display = 'flex';
+    updateContinueButton();
 
-    document.exitPointerLock();
+    unlockPointer();
 }
 
 // ============================================
@@ -309,35 +422,61 @@ function animate() {
     const time = performance.now();
     const delta = (time - prevTime) / 1000;
 
-    if (gameState.isPlaying && !gameState.isPaused) {
-        updateMovement(delta);
-        updateCustomers(delta);
-        updateFallingLeaves(fallingLeaves, delta);
-        checkInteractionPrompt();
+    pollGamepad();
+    updateMusic(delta);
+    updateSfx(delta);
 
-        // Update physics
-        if (typeof updatePhysics === 'function') {
-            updatePhysics(delta);
-        }
+    // Gameplay runs on the fixed-step clock, see clock.js.
+    // A replay check drives the clock itself (see replay.js), so it's left alone meanwhile.
+    const checkingReplay = isCheckingReplay();
+    if (gameState.isPlaying && !gameState.isPaused && !checkingReplay) {
+        advanceSimClock(delta);
+        checkInteractionPrompt();
+    } else if (!checkingReplay) {
+        // No ticks to pick input up - menus and the pause screen still need it
+        flushInputs();
     }
 
-    updateMiniGame();
-    updateGrabbedObject();
+    updateEnvironment(delta);
 
     prevTime = time;
     renderer.render(scene, camera);
 }
 
+// Gameplay systems, in the order they run each tick
+function registerSimSystems() {
+    onSimTick('input', flushInputs);
+    onSimTick('look', updatePadLook);
+    onSimTick('elapsed', step => { gameState.elapsed += step; });
+    onSimTick('movement', updateMovement);
+    onSimTick('held', updateHeldItems);
+    onSimTick('day', updateDay);
+    onSimTick('spawning', updateSpawning);
+    onSimTick('inventory', updateInventory);
+    onSimTick('navigation', updateNavigation);
+    onSimTick('customers', updateCustomers);
+    onSimTick('diners', updateDiners);
+    onSimTick('minigame', updateMiniGame);
+    onSimTick('throw', updateThrowCharge);
+    onSimTick('leaves', step => updateFallingLeaves(fallingLeaves, step));
+
+    if (typeof updatePhysics === 'function') {
+        onSimTick('physics', updatePhysics);
+    }
+}
+
 function updateMovement(delta) {
     velocity.x -= velocity.x * 10.0 * delta;
     velocity.z -= velocity.z * 10.0 * delta;
 
-    direction.z = Number(moveForward) - Number(moveBackward);
-    direction.x = Number(moveRight) - Number(moveLeft);
-    direction.normalize();
+    // Keys push at full strength, the stick anywhere up to it
+    direction.z = Number(moveForward) - Number(moveBackward) + padInput.move.z + touchInput.move.z;
+    direction.x = Number(moveRight) - Number(moveLeft) + padInput.move.x + touchInput.move.x;
+    direction.y = 0;
+    if (direction.lengthSq() > 1) direction.normalize();
 
-    if (moveForward || moveBackward) velocity.z -= direction.z * CONFIG.MOVE_SPEED * delta;
-    if (moveLeft || moveRight) velocity.x -= direction.x * CONFIG.MOVE_SPEED * delta;
+    velocity.z -= direction.z * CONFIG.MOVE_SPEED * delta;
+    velocity.x -= direction.x * CONFIG.MOVE_SPEED * delta;
 
     // Apply movement
     const forward = new THREE.Vector3();
@@ -362,52 +501,119 @@ function updateMovement(delta) {
 // ============================================
 function checkInteractionPrompt() {
     const prompt = document.getElementById('interact-prompt');
+    const target = getInteractionTarget();
+    const held = getHeldItem();
 
-    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
-    const intersects = raycaster.intersectObjects(interactableObjects, true);
+    if (target) {
+        const interactKey = getKeyLabel('interact');
+        let text = `Press <span>${interactKey}</span> to `;
 
-    if (intersects.length > 0) {
-        let target = intersects[0].object;
-        while (target && !target.userData.type) {
-            target = target.parent;
+        // Empty stations say so instead of offering an action
+        const ingredient = getStationIngredient(target, held);
+        if (ingredient && !hasStock(ingredient)) {
+            prompt.innerHTML = `Out of ${INGREDIENTS[ingredient].name} - order more (<span>${getKeyLabel('shop')}</span>)`;
+            prompt.style.display = 'block';
+            return;
         }
 
-        if (target && target.userData.type) {
-            let text = 'Press <span>E</span> to ';
-
-            if (physicsState.isGrabbing) {
-                text += 'drop';
+        const heldCup = held && held.userData.itemType === 'cup';
 
-                if (target.userData.type === 'espresso') text = 'Press <span>E</span> to pour espresso';
-                else if (target.userData.type === 'milk') text = 'Press <span>E</span> to froth milk';
-                else if (target.userData.type === 'syrup') text = `Press <span>E</span> to add ${target.userData.syrupType}`;
-                else if (target.userData.type === 'trash') text = 'Press <span>E</span> to trash item';
-                else if (target.userData.type === 'customer') text = 'Press <span>E</span> to serve customer';
-            } else {
-                switch (target.userData.type) {
-                    case 'cup_dispenser': text += 'get cup'; break;
-                    case 'pastry': text += 'get pastry'; break;
-                    case 'espresso': text += 'use machine'; break;
-                    case 'customer': text += 'serve'; break;
-                    default: text += 'interact';
+        switch (target.userData.type) {
+            case 'cup_dispenser':
+            case 'pastry':
+                if (!canCarryMore()) {
+                    text = physicsState.tray ? 'Tray is full' : 'Hands full - grab a tray';
+                } else {
+                    text += target.userData.type === 'pastry' ? 'get pastry' : 'get cup';
                 }
-            }
-
-            prompt.innerHTML = text;
-            prompt.style.display = 'block';
-            return;
+                break;
+            case 'tray_stack':
+                text += physicsState.tray ? 'put tray back' : 'grab tray';
+                break;
+            case 'dirty_cup':
+                if (!canCarryMore()) {
+                    text = physicsState.tray ? 'Tray is full' : 'Hands full - grab a tray';
+                } else {
+                    text += 'bus dirty cup';
+                }
+                break;
+            case 'loose_item':
+                if (!canCarryMore()) {
+                    text = physicsState.tray ? 'Tray is full' : 'Hands full - grab a tray';
+                } else {
+                    text += `pick up ${target.userData.itemType}`;
+                }
+                break;
+            case 'espresso':
+                text += heldCup ? 'pour espresso' : 'use machine';
+                break;
+            case 'milk':
+                if (heldCup) {
+                    const frothing = held.userData.contents.milk > 0;
+                    text += `${frothing ? 'froth' : 'steam'} milk`;
+                } else {
+                    text += 'interact';
+                }
+                break;
+            case 'syrup':
+                text += heldCup ? `add ${target.userData.syrupType}` : 'interact';
+                break;
+            case 'trash':
+                text += held ? 'trash item' : 'interact';
+                break;
+            case 'customer':
+                text += held ? 'serve customer' : 'serve';
+                break;
+            default:
+                text += isHolding() ? 'drop' : 'interact';
         }
+
+        prompt.innerHTML = text;
+        prompt.style.display = 'block';
+        return;
     }
 
     // No target - show drop if holding something
-    if (physicsState.isGrabbing) {
-        prompt.innerHTML = 'Press <span>E</span> to drop';
+    if (held && held.userData.itemType === 'dirty_cup') {
+        prompt.innerHTML = 'Take the dirty cup to the trash';
+        prompt.style.display = 'block';
+    } else if (held) {
+        prompt.innerHTML = `Press <span>${getKeyLabel('interact')}</span> to drop`;
+        prompt.style.display = 'block';
+    } else if (physicsState.tray) {
+        prompt.innerHTML = `Press <span>${getKeyLabel('interact')}</span> to put tray away`;
         prompt.style.display = 'block';
     } else {
         prompt.style.display = 'none';
     }
 }
 
+// Interactable under the crosshair (walks up to the object carrying userData.type)
+function getInteractionTarget() {
+    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+    const intersects = raycaster.intersectObjects(interactableObjects, true);
+    if (intersects.length === 0) return null;
+
+    let target = intersects[0].object;
+    while (target && !target.userData.type) {
+        target = target.parent;
+    }
+    return target || null;
+}
+
+// Ingredient a station would use for the current action (null if none)
+function getStationIngredient(target, heldItem) {
+    const type = target.userData.type;
+
+    if (type === 'cup_dispenser') return 'cups';
+    if (type === 'pastry') return 'pastries';
+
+    if (!heldItem || heldItem.userData.itemType !== 'cup') return null;
+    if (type === 'espresso' || type === 'milk') return type;
+    if (type === 'syrup') return target.userData.syrupType;
+    return null;
+}
+
 function tryInteract() {
     // Handle mini-game input
     if (miniGameState.active) {
@@ -415,77 +621,181 @@ function tryInteract() {
         return;
     }
 
-    raycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
-    const intersects = raycaster.intersectObjects(interactableObjects, true);
+    const target = getInteractionTarget();
 
-    let target = null;
-    if (intersects.length > 0) {
-        target = intersects[0].object;
-        while (target && !target.userData.type) {
-            target = target.parent;
-        }
+    if (!target) {
+        // Drop whatever is in hand
+        if (isHolding()) dropItem();
+        return;
     }
 
-    // If holding something
-    if (physicsState.isGrabbing) {
-        if (!target) {
-            // Drop item
-            dropItem();
-            return;
-        }
+    const heldItem = getHeldItem();
+    const heldType = heldItem ? heldItem.userData.itemType : null;
 
-        const heldItem = physicsState.grabbedObject;
-        const heldType = heldItem.userData.itemType;
+    switch (target.userData.type) {
+        case 'cup_dispenser':
+            if (!canCarryMore()) showHandsFull();
+            else if (consumeStock('cups')) grabCup();
+            else requireStock('cups');
+            break;
 
-        switch (target.userData.type) {
-            case 'espresso':
-                if (heldType === 'cup') {
-                    startMiniGame('timing', () => {
-                        addToCup(heldItem, 'espresso');
-                    });
-                }
-                break;
+        case 'pastry':
+            if (!canCarryMore()) showHandsFull();
+            else if (consumeStock('pastries')) grabPastry();
+            else requireStock('pastries');
+            break;
 
-            case 'milk':
-                if (heldType === 'cup') {
-                    startMiniGame('tap', () => {
-                        addToCup(heldItem, 'milk');
-                    });
-                }
-                break;
+        case 'tray_stack':
+            if (physicsState.tray) returnTray();
+            else grabTray();
+            break;
 
-            case 'syrup':
-                if (heldType === 'cup') {
-                    addToCup(heldItem, target.userData.syrupType);
-                    playSound('pour');
-                }
-                break;
+        case 'dirty_cup':
+            if (!canCarryMore()) showHandsFull();
+            else pickUpDirtyCup(target);
+            break;
 
-            case 'trash':
-                trashItem();
-                break;
+        case 'loose_item':
+            if (!canCarryMore()) showHandsFull();
+            else pickUpLooseItem(target);
+            break;
 
-            case 'customer':
-                serveToCustomer(target);
-                break;
+        case 'espresso':
+            if (heldType === 'cup' && requireStock('espresso')) {
+                playSound('grind', target);
+                startMiniGame('timing', () => {
+                    consumeStock('espresso');
+                    addToCup(heldItem, 'espresso', miniGameState.quality);
+                    playSound('pour', target);
+                });
+            }
+            break;
 
-            default:
-                dropItem();
-        }
+        case 'milk':
+            if (heldType === 'cup' && requireStock('milk')) {
+                startMiniGame('tap', () => {
+                    consumeStock('milk');
+                    addToCup(heldItem, 'milk', miniGameState.quality);
+                    playSound('pour', target);
+                });
+                startSteam(target);
+            }
+            break;
+
+        case 'syrup':
+            if (heldType === 'cup' && requireStock(target.userData.syrupType)) {
+                consumeStock(target.userData.syrupType);
+                addToCup(heldItem, target.userData.syrupType, CONFIG.QUALITY.SYRUP);
+                playSound('pour', target);
+            }
+            break;
+
+        case 'trash':
+            if (heldItem) trashItem();
+            break;
+
+        case 'customer':
+            serveToCustomer(target);
+            break;
+
+        default:
+            if (isHolding()) dropItem();
+    }
+}
+
+// ============================================
+// CARRYING
+// ============================================
+function isHolding() {
+    return heldItems.length > 0 || physicsState.tray !== null;
+}
+
+// The item stations, dropping and trashing act on
+function getHeldItem() {
+    return heldItems[physicsState.activeIndex] || null;
+}
+
+function getCarryCapacity() {
+    return physicsState.tray ? CONFIG.TRAY_CAPACITY : 1;
+}
+
+function canCarryMore() {
+    return heldItems.length < getCarryCapacity();
+}
+
+function holdItem(obj) {
+    heldItems.push(obj);
+    physicsState.activeIndex = heldItems.length - 1;
+    updateHeldItemsDisplay();
+}
+
+function releaseHeldItem(obj) {
+    const idx = heldItems.indexOf(obj);
+    if (idx === -1) return;
+
+    heldItems.splice(idx, 1);
+    physicsState.activeIndex = Math.min(physicsState.activeIndex, Math.max(0, heldItems.length - 1));
+    updateHeldItemsDisplay();
+}
+
+function cycleHeldItem() {
+    if (heldItems.length < 2) return;
+
+    physicsState.activeIndex = (physicsState.activeIndex + 1) % heldItems.length;
+    updateHeldItemsDisplay();
+    playSound('pickup');
+}
+
+// Remove everything carried from the scene (quitting, new run)
+function clearHeldItems() {
+    heldItems.forEach(item => scene.remove(item));
+    heldItems = [];
+    physicsState.activeIndex = 0;
+    physicsState.throwCharge = null;
+    updateThrowMeter();
+
+    if (physicsState.tray) scene.remove(physicsState.tray);
+    physicsState.tray = null;
+
+    updateHeldItemsDisplay();
+}
+
+function showHandsFull() {
+    if (physicsState.tray) {
+        showNotification('Tray is full!', `It holds ${CONFIG.TRAY_CAPACITY} items`);
     } else {
-        // Picking up items
-        if (!target) return;
+        showNotification('Hands full!', 'Grab a tray to carry more');
+    }
+    playSound('error');
+}
 
-        switch (target.userData.type) {
-            case 'cup_dispenser':
-                grabCup();
-                break;
+function grabTray() {
+    const tray = new THREE.Mesh(
+        new THREE.BoxGeometry(0.45, 0.02, 0.3),
+        new THREE.MeshStandardMaterial({ color: 0x5a4a3a, roughness: 0.6 })
+    );
+    tray.userData = { itemType: 'tray' };
+    scene.add(tray);
 
-            case 'pastry':
-                grabPastry();
-                break;
-        }
+    physicsState.tray = tray;
+    updateHeldItemsDisplay();
+
+    playSound('pickup');
+    showNotification('Tray grabbed! 🍽️', `Carry up to ${CONFIG.TRAY_CAPACITY} items · Q to switch`);
+}
+
+function returnTray() {
+    if (heldItems.length > 1) {
+        showNotification('Tray not empty!', 'Serve or drop items first');
+        playSound('error');
+        return;
     }
+
+    scene.remove(physicsState.tray);
+    physicsState.tray = null;
+    updateHeldItemsDisplay();
+
+    playSound('drop');
 }
 
 // ============================================
@@ -510,16 +820,15 @@ function grabCup() {
 
     cupGroup.userData = {
         itemType: 'cup',
-        contents: { espresso: false, milk: false, vanilla: false, caramel: false, chocolate: false },
-        quality: 100
+        contents: createCupContents(),
+        steps: [],          // Each step keeps its own quality, see getCupQuality
+        lastStepAt: null
     };
 
     scene.add(cupGroup);
+    holdItem(cupGroup);
 
-    physicsState.grabbedObject = cupGroup;
-    physicsState.isGrabbing = true;
-
-    playSound('pickup');
+    playSound('clink');
     showNotification('Cup grabbed!', 'Take it to a station');
 }
 
@@ -538,21 +847,25 @@ function grabPastry() {
     };
 
     scene.add(pastryGroup);
-
-    physicsState.grabbedObject = pastryGroup;
-    physicsState.isGrabbing = true;
+    holdItem(pastryGroup);
 
     playSound('pickup');
 }
 
 function dropItem() {
-    if (!physicsState.grabbedObject) return;
+    const obj = getHeldItem();
+
+    // Empty tray - put it away
+    if (!obj) {
+        if (physicsState.tray) returnTray();
+        return;
+    }
 
-    const obj = physicsState.grabbedObject;
+    if (isDirtyCup(obj)) return;
 
-    // If we have real physics, throw it
-    if (typeof throwObject === 'function' && obj.userData.physicsBody) {
-        throwObject(obj, camera, 8);
+    // Let go where it's held - gravity does the rest
+    if (giveItemBody(obj)) {
+        dropObject(obj);
     } else {
         // Fallback: place object on ground in front of player
         const forward = new THREE.Vector3();
@@ -561,50 +874,151 @@ function dropItem() {
         obj.position.y = 0.1;
     }
 
-    physicsState.grabbedObject = null;
-    physicsState.isGrabbing = false;
-    playSound('drop');
+    releaseHeldItem(obj);
+    addLooseItem(obj);
+    playSound('drop', obj);
 }
 
-// Throw object with physics
-function throwItem() {
-    if (!physicsState.grabbedObject) return;
+// Throw object with physics - power 0-1 from how long the throw was charged
+function throwItem(power = 1) {
+    const obj = getHeldItem();
+    if (!obj || isDirtyCup(obj)) return;
+    if (!giveItemBody(obj)) return;
 
-    const obj = physicsState.grabbedObject;
+    const { MIN_SPEED, MAX_SPEED } = CONFIG.THROW;
+    throwObject(obj, camera, MIN_SPEED + (MAX_SPEED - MIN_SPEED) * power);
 
-    if (typeof throwObject === 'function') {
-        // Create physics body if needed
-        if (!obj.userData.physicsBody && typeof createPhysicsCup === 'function') {
-            if (obj.userData.itemType === 'cup') {
-                createPhysicsCup(obj);
-            } else if (obj.userData.itemType === 'pastry') {
-                createPhysicsPastry(obj);
-            }
-        }
+    releaseHeldItem(obj);
+    addLooseItem(obj);
+    playSound('throw');
+}
+
+// ============================================
+// THROW CHARGE
+// ============================================
+
+// Hold the throw button to wind up, let go to throw
+function startThrowCharge() {
+    if (physicsState.throwCharge !== null || !getHeldItem() || miniGameState.active) return;
+    physicsState.throwCharge = 0;
+    updateThrowMeter();
+}
+
+function releaseThrow() {
+    if (physicsState.throwCharge === null) return;
+
+    const power = physicsState.throwCharge;
+    physicsState.throwCharge = null;
+    updateThrowMeter();
+    throwItem(power);
+}
+
+function updateThrowCharge(delta) {
+    if (physicsState.throwCharge === null) return;
 
-        throwObject(obj, camera, 10);
+    // Nothing left to throw (served, trashed...) - drop the wind-up
+    if (!getHeldItem()) {
+        physicsState.throwCharge = null;
+    } else {
+        physicsState.throwCharge = Math.min(1, physicsState.throwCharge + delta / CONFIG.THROW.CHARGE_TIME);
     }
+    updateThrowMeter();
+}
 
-    physicsState.grabbedObject = null;
-    physicsState.isGrabbing = false;
-    playSound('throw');
+function updateThrowMeter() {
+    const meter = document.getElementById('throw-meter');
+    const charging = physicsState.throwCharge !== null;
+    meter.style.display = charging ? 'block' : 'none';
+    if (charging) {
+        document.getElementById('throw-fill').style.width = (physicsState.throwCharge * 100) + '%';
+    }
+}
+
+// ============================================
+// LOOSE ITEMS
+// ============================================
+
+// Cups and pastries get a physics body the first time they leave your hands
+function giveItemBody(obj) {
+    if (typeof throwObject !== 'function') return false;
+    if (obj.userData.physicsBody) return true;
+
+    if (obj.userData.itemType === 'cup') {
+        createPhysicsCup(obj);
+    } else if (obj.userData.itemType === 'pastry') {
+        createPhysicsPastry(obj);
+    }
+    return Boolean(obj.userData.physicsBody);
+}
+
+// Dropped or thrown items can be picked up again through the interaction raycast
+function addLooseItem(obj) {
+    obj.userData.type = 'loose_item';
+    obj.userData.interactable = true;
+    interactableObjects.push(obj);
+    physicsState.looseItems.push(obj);
+
+    // Keep the physics world small - the oldest mess gets cleaned up
+    if (physicsState.looseItems.length > CONFIG.THROW.MAX_LOOSE_ITEMS) {
+        removeLooseItem(physicsState.looseItems[0]);
+    }
+}
+
+function removeLooseItem(obj) {
+    const idx = physicsState.looseItems.indexOf(obj);
+    if (idx > -1) physicsState.looseItems.splice(idx, 1);
+
+    const objIdx = interactableObjects.indexOf(obj);
+    if (objIdx > -1) interactableObjects.splice(objIdx, 1);
+
+    if (typeof removePhysicsBody === 'function') removePhysicsBody(obj);
+    scene.remove(obj);
+}
+
+function pickUpLooseItem(obj) {
+    removeLooseItem(obj);
+
+    delete obj.userData.type;
+    obj.userData.interactable = false;
+    obj.quaternion.identity();
+
+    scene.add(obj);
+    holdItem(obj);
+    playSound('pickup');
+}
+
+function clearLooseItems() {
+    physicsState.looseItems.slice().forEach(removeLooseItem);
 }
 
 function trashItem() {
-    if (!physicsState.grabbedObject) return;
+    const obj = getHeldItem();
+    if (!obj) return;
 
-    scene.remove(physicsState.grabbedObject);
-    physicsState.grabbedObject = null;
-    physicsState.isGrabbing = false;
+    scene.remove(obj);
+    releaseHeldItem(obj);
 
     playSound('trash');
-    showNotification('Trashed!', '');
+    if (obj.userData.itemType === 'dirty_cup') {
+        bussDirtyCup(obj);
+    } else {
+        showNotification('Trashed!', '');
+    }
+}
+
+// Dirty cups only go in the trash (so their table gets freed)
+function isDirtyCup(obj) {
+    if (obj.userData.itemType !== 'dirty_cup') return false;
+
+    showNotification('Dirty cup!', 'Take it to the trash');
+    playSound('error');
+    return true;
 }
 
-function addToCup(cup, contentType) {
+function addToCup(cup, contentType, quality) {
     if (!cup.userData.contents) return;
 
-    cup.userData.contents[contentType] = true;
+    addCupStep(cup, contentType, quality);
 
     // Update liquid visual
     const liquid = cup.getObjectByName('liquid');
@@ -621,41 +1035,82 @@ function addToCup(cup, contentType) {
         if (cup.userData.contents.chocolate) liquid.material.color.setHex(0x4a3520);
         if (cup.userData.contents.caramel) liquid.material.color.setHex(0x8b6914);
         if (cup.userData.contents.vanilla) liquid.material.color.setHex(0xa08060);
+        if (cup.userData.contents.blossom) liquid.material.color.setHex(0xd8a0a8);
+        if (cup.userData.contents.pumpkin) liquid.material.color.setHex(0xc07030);
+        if (cup.userData.contents.peppermint) liquid.material.color.setHex(0x6a4a3a);
     }
 
-    // Show what was added
-    const qualityStr = miniGameState.quality >= 80 ? 'PERFECT!' :
-        miniGameState.quality >= 50 ? 'Good!' : 'OK';
-    showQualityPopup(miniGameState.quality);
+    // Show how well this step went
+    showQualityPopup(quality);
+    updateHeldItemsDisplay();
 }
 
-function updateGrabbedObject() {
-    if (!physicsState.isGrabbing || !physicsState.grabbedObject) return;
+// Each tick, from the simulated camera - drops and throws start from here
+function updateHeldItems() {
+    if (!isHolding()) return;
+
+    const follow = CONFIG.HOLD_FOLLOW;
 
     // Position in front of camera
     const forward = new THREE.Vector3();
     camera.getWorldDirection(forward);
 
+    const right = new THREE.Vector3();
+    right.crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
+
     const targetPos = camera.position.clone()
         .add(forward.multiplyScalar(0.5))
         .add(new THREE.Vector3(0, -0.2, 0));
 
-    physicsState.grabbedObject.position.lerp(targetPos, 0.3);
-    physicsState.grabbedObject.rotation.y = camera.rotation.y;
+    if (!physicsState.tray) {
+        const item = heldItems[0];
+        item.position.lerp(targetPos, follow);
+        item.rotation.y = camera.rotation.y;
+        return;
+    }
+
+    // Tray sits a little lower, items spread across it
+    const trayPos = targetPos.clone().add(new THREE.Vector3(0, -0.05, 0));
+    physicsState.tray.position.lerp(trayPos, follow);
+    physicsState.tray.rotation.y = camera.rotation.y;
+
+    heldItems.forEach((item, i) => {
+        const offset = (i - (heldItems.length - 1) / 2) * 0.11;
+        const itemPos = trayPos.clone()
+            .add(right.clone().multiplyScalar(offset))
+            .add(new THREE.Vector3(0, i === physicsState.activeIndex ? 0.03 : 0.01, 0));
+        item.position.lerp(itemPos, follow);
+        item.rotation.y = camera.rotation.y;
+    });
+}
+
+function updateHeldItemsDisplay() {
+    const display = document.getElementById('held-items');
+
+    const chips = heldItems.map((item, i) => {
+        const icon = { cup: '☕', pastry: '🥐', dirty_cup: '🧽' }[item.userData.itemType];
+        const label = item.userData.itemType === 'cup' ? describeCup(item)
+            : item.userData.itemType === 'pastry' ? 'Pastry' : 'Dirty cup';
+        const active = i === physicsState.activeIndex ? ' active' : '';
+        return `<div class="held-item${active}"><span class="held-item-icon">${icon}</span>${label}</div>`;
+    });
+
+    if (physicsState.tray) {
+        chips.unshift(`<div class="held-item tray"><span class="held-item-icon">🍽️</span>${heldItems.length}/${CONFIG.TRAY_CAPACITY}</div>`);
+    }
+
+    display.innerHTML = chips.join('');
 }
 
 // ============================================
 // SERVING CUSTOMERS
 // ============================================
 function serveToCustomer(customerObj) {
-    if (!physicsState.grabbedObject) {
+    if (heldItems.length === 0) {
         showNotification('Nothing to serve!', 'Grab a cup or pastry first');
         return;
     }
 
-    const held = physicsState.grabbedObject;
-    const heldType = held.userData.itemType;
-
     // Make sure we have the root customer object
     let customer = customerObj;
     while (customer.parent && customer.parent !== scene) {
@@ -695,93 +1150,124 @@ function serveToCustomer(customerObj) {
     }
 
     const order = gameState.activeOrders[orderIndex];
-    let matchFound = false;
-    let quality = held.userData.quality || 100;
 
-    // Check if item matches any order item
-    if (heldType === 'pastry') {
-        // Check for pastry in order
-        matchFound = order.items.some(item => item.type === 'pastry');
-    } else if (heldType === 'cup') {
-        // Check drink match
-        const contents = held.userData.contents;
-
-        for (const item of order.items) {
-            if (item.type === 'drink') {
-                const recipe = DRINK_RECIPES[item.id];
-                if (recipe) {
-                    // Check all recipe requirements
-                    let matches = true;
-                    for (const [ingredient, required] of Object.entries(recipe)) {
-                        if (required && !contents[ingredient]) {
-                            matches = false;
-                            break;
-                        }
-                    }
-                    if (matches) {
-                        matchFound = true;
-                        break;
-                    }
-                }
-            }
+    // Hand over everything carried that the order still needs, active item first
+    const active = getHeldItem();
+    const candidates = [active, ...heldItems.filter(item => item !== active)];
+    const served = [];
+    let hint = 'Check the order again';
+
+    candidates.forEach(held => {
+        const result = matchItemToOrder(held, order);
+        if (!result.line) {
+            if (held === active) hint = result.hint;
+            return;
         }
-    }
 
-    if (matchFound) {
-        completeOrder(orderIndex, quality);
+        result.line.served = true;
+        result.line.quality = result.quality;
+        result.line.accuracy = result.accuracy;
+        served.push(result);
 
         // Remove held item
-        scene.remove(physicsState.grabbedObject);
-        physicsState.grabbedObject = null;
-        physicsState.isGrabbing = false;
-    } else {
-        showNotification('Wrong item!', 'Check the order again');
+        scene.remove(held);
+        releaseHeldItem(held);
+    });
+
+    if (served.length === 0) {
+        showNotification('Wrong item!', hint);
         playSound('error');
+        return;
+    }
+
+    const sloppy = served.find(result => result.accuracy < 100);
+
+    if (getOwedLines(order).length === 0) {
+        completeOrder(orderIndex);
+        if (sloppy) showNotification('Not quite right...', sloppy.hint);
+        return;
     }
+
+    // Partially served - the customer waits for the rest
+    updateOrderBubble(customer, getOwedLines(order).map(line => line.item));
+    updateOrdersDisplay();
+    showNotification(
+        sloppy ? 'Not quite right...' : `Served ${served.map(r => r.line.item.name).join(', ')}`,
+        sloppy ? sloppy.hint : `Still waiting for: ${getOwedLines(order).map(line => line.item.name).join(', ')}`
+    );
+    playSound('clink', customer);
 }
 
-function completeOrder(orderIndex, quality) {
-    const order = gameState.activeOrders[orderIndex];
-    const customer = order.customer;
+// Which owed line a held item fulfils.
+// Returns { line, quality, accuracy, hint } - line is null when nothing fits.
+function matchItemToOrder(held, order) {
+    const owed = getOwedLines(order);
+    const heldType = held.userData.itemType;
+    let hint = 'Check the order again';
 
-    // Calculate payment
-    let payment = order.items.reduce((sum, item) => {
-        return sum + (gameState.menuPrices[item.id] || 4);
-    }, 0);
-
-    // Quality bonus/penalty
-    let tipMultiplier = 1;
-    if (quality >= 80) {
-        tipMultiplier = 1.3;
-        showQualityPopup(100);
-    } else if (quality >= 50) {
-        tipMultiplier = 1.1;
-        showQualityPopup(70);
-    } else {
-        tipMultiplier = 0.8;
-        showQualityPopup(30);
+    if (heldType === 'pastry') {
+        const line = owed.find(l => l.item.type === 'pastry');
+        return { line: line || null, quality: held.userData.quality || 100, accuracy: 100, hint };
+    }
+
+    if (heldType === 'dirty_cup') {
+        hint = 'That cup is dirty - bus it to the trash';
     }
 
-    const tip = Math.floor(payment * 0.2 * tipMultiplier);
-    const total = payment + tip;
+    if (heldType === 'cup') {
+        // Score the cup against each drink still owed
+        const match = findBestDrinkMatch(held, owed.map(l => l.item));
+        if (match) {
+            if (match.score.issues.length > 0) hint = match.score.issues[0];
+
+            if (match.score.accuracy >= CONFIG.RECIPE.MIN_ACCURACY) {
+                return {
+                    line: owed[match.index],
+                    quality: getCupQuality(held, DRINK_RECIPES[match.item.id]),
+                    accuracy: match.score.accuracy,
+                    hint
+                };
+            }
+        }
+    }
+
+    return { line: null, quality: 0, accuracy: 0, hint };
+}
+
+function getOwedLines(order) {
+    return order.lines.filter(line => !line.served);
+}
+
+// Called once every line on the order has been served
+function completeOrder(orderIndex) {
+    const order = gameState.activeOrders[orderIndex];
+    const customer = order.customer;
+
+    // Averages across line items (accuracy 100 = every drink exact)
+    const quality = order.lines.reduce((sum, line) => sum + line.quality, 0) / order.lines.length;
+    const accuracy = order.lines.reduce((sum, line) => sum + line.accuracy, 0) / order.lines.length;
 
-    gameState.money += total;
-    gameState.customersServed++;
+    // Payment, tip and rating change, see rules.js
+    const customerType = customer.userData.customerType;
+    const settlement = settleOrder(order.items, customerType, quality, accuracy);
+    applySettlement(settlement, order.items, customerType, quality);
 
-    // Update rating
-    const ratingChange = quality >= 80 ? 0.1 : quality >= 50 ? 0 : -0.1;
-    gameState.rating = Math.max(1, Math.min(5, gameState.rating + ratingChange));
+    const { tip, overpricing } = settlement;
+    const total = settlement.payment + tip;
 
+    showQualityPopup({ good: 100, ok: 70, bad: 30 }[settlement.tier]);
     updateHUD();
 
     // Remove order and customer
     gameState.activeOrders.splice(orderIndex, 1);
 
-    // Animate customer leaving
-    animateCustomerLeave(customer);
+    // Some customers stay for a while on the patio
+    if (!trySeatCustomer(customer, order.items)) {
+        animateCustomerLeave(customer);
+    }
 
-    showNotification(`+$${total}`, tip > 0 ? `Tip: $${tip}` : '');
-    playSound('coin');
+    showNotification(`+$${total}`, tip > 0 ? `Tip: $${tip}` : overpricing > 0 ? 'A bit pricey... 💸' : '');
+    playSound('coin', customer);
 
     updateOrdersDisplay();
 }
@@ -789,32 +1275,29 @@ function completeOrder(orderIndex, quality) {
 // ============================================
 // CUSTOMERS & ORDERS
 // ============================================
-function spawnCustomerLoop() {
-    if (!gameState.isPlaying) return;
+function updateSpawning(delta) {
+    if (gameState.dayPhase !== 'open') return;
 
-    const interval = CONFIG.CUSTOMER_SPAWN_INTERVAL[gameState.mode] || 6000;
+    gameState.spawnTimer -= delta;
+    if (gameState.spawnTimer > 0) return;
 
-    setTimeout(() => {
-        if (gameState.isPlaying && !gameState.isPaused) {
-            if (gameState.customers.length < CONFIG.MAX_CUSTOMERS) {
-                spawnCustomer();
-            }
-        }
-        spawnCustomerLoop();
-    }, interval);
+    if (!isQueueFull()) {
+        spawnCustomer();
+    }
+
+    gameState.spawnTimer = getSpawnInterval();
 }
 
 function spawnCustomer() {
-    if (gameState.customers.length >= CONFIG.MAX_CUSTOMERS) return;
+    if (isQueueFull()) return;
 
     // Select customer type
-    const types = Object.keys(CUSTOMER_TYPES);
-    const customerType = types[Math.floor(Math.random() * types.length)];
+    const customerType = pickCustomerType();
     const typeData = CUSTOMER_TYPES[customerType];
 
     // Create customer
     const customer = createCustomerNPC(typeData.color);
-    customer.position.set(0, 0, 9); // Start at street
+    customer.position.set(CONFIG.NAV.SPAWN.x, 0, CONFIG.NAV.SPAWN.z); // Start at street
     customer.userData = {
         type: 'customer',
         customerType: customerType,
@@ -826,6 +1309,7 @@ function spawnCustomer() {
     scene.add(customer);
     interactableObjects.push(customer);
     gameState.customers.push(customer);
+    playSound('doorbell', sfxState.door);
 
     // Walk to counter
     animateCustomerEnter(customer);
@@ -877,7 +1361,7 @@ function createCustomerNPC(color) {
 
     // Hair
     const hairColors = [0x2b1a0f, 0x5a3d1e, 0x8b4513, 0x333333, 0xdaa520];
-    const hairColor = hairColors[Math.floor(Math.random() * hairColors.length)];
+    const hairColor = hairColors[Math.floor(random('cosmetics') * hairColors.length)];
     const hair = new THREE.Mesh(
         new THREE.SphereGeometry(0.16, 12, 8, 0, Math.PI * 2, 0, Math.PI / 2),
         new THREE.MeshStandardMaterial({ color: hairColor })
@@ -912,7 +1396,30 @@ function createOrderBubble(orderItems) {
     const canvas = document.createElement('canvas');
     canvas.width = 256;
     canvas.height = 128;
+
+    // Create texture
+    const texture = new THREE.CanvasTexture(canvas);
+
+    // Create sprite/plane
+    const material = new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(0.8, 0.4, 1);
+    group.add(sprite);
+
+    // Keep the canvas around so the patience bar can be redrawn
+    group.userData = { canvas, texture, orderItems, patienceStep: null };
+    drawOrderBubble(group, 1);
+
+    return group;
+}
+
+function drawOrderBubble(bubble, patienceRatio) {
+    const { canvas, texture, orderItems } = bubble.userData;
     const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
 
     // Draw bubble background
     ctx.fillStyle = 'white';
@@ -937,23 +1444,35 @@ function createOrderBubble(orderItems) {
         });
     }
 
-    // Create texture
-    const texture = new THREE.CanvasTexture(canvas);
+    // Patience bar
+    ctx.fillStyle = '#e0e0e0';
+    ctx.fillRect(20, 100, 216, 10);
+    ctx.fillStyle = getPatienceColor(patienceRatio);
+    ctx.fillRect(20, 100, 216 * patienceRatio, 10);
+
     texture.needsUpdate = true;
+}
 
-    // Create sprite/plane
-    const material = new THREE.SpriteMaterial({
-        map: texture,
-        transparent: true
-    });
-    const sprite = new THREE.Sprite(material);
-    sprite.scale.set(0.8, 0.4, 1);
-    group.add(sprite);
+function updateOrderBubblePatience(order) {
+    const bubble = order.customer.getObjectByName('orderBubble');
+    if (!bubble || !bubble.userData.canvas) return;
 
-    return group;
+    // Only redraw the canvas when the bar visibly changes
+    const ratio = order.patienceLeft / order.patience;
+    const step = Math.ceil(ratio * 50);
+    if (bubble.userData.patienceStep === step) return;
+
+    bubble.userData.patienceStep = step;
+    drawOrderBubble(bubble, ratio);
+}
+
+function getPatienceColor(ratio) {
+    if (ratio <= CONFIG.PATIENCE_CRITICAL) return '#ff4444';
+    if (ratio <= CONFIG.PATIENCE_WARNING) return '#ffcc00';
+    return '#00d26a';
 }
 
-function updateOrderBubble(customer) {
+function updateOrderBubble(customer, orderItems = customer.userData.order) {
     // Remove old bubble
     const oldBubble = customer.getObjectByName('orderBubble');
     if (oldBubble) {
@@ -961,7 +1480,6 @@ function updateOrderBubble(customer) {
     }
 
     // Create new bubble with order text
-    const orderItems = customer.userData.order;
     const newBubble = createOrderBubble(orderItems);
     newBubble.position.y = 1.65;
     newBubble.name = 'orderBubble';
@@ -969,71 +1487,22 @@ function updateOrderBubble(customer) {
     customer.add(newBubble);
 }
 
-function generateOrder() {
-    const items = [];
-
-    // Random drink
-    const drinks = MENU_ITEMS.filter(i => i.type === 'drink');
-    const drink = drinks[Math.floor(Math.random() * drinks.length)];
-    items.push(drink);
-
-    // Sometimes add pastry
-    if (Math.random() < 0.3) {
-        const pastries = MENU_ITEMS.filter(i => i.type === 'pastry');
-        const pastry = pastries[Math.floor(Math.random() * pastries.length)];
-        items.push(pastry);
-    }
-
-    return items;
-}
-
+// Get in line - the queue routes them to a slot, see queue.js
 function animateCustomerEnter(customer) {
-    const queueIndex = gameState.customers.indexOf(customer);
-    const targetPos = QUEUE_POSITIONS[queueIndex % QUEUE_POSITIONS.length];
-
-    const animate = () => {
-        if (!customer.userData || customer.userData.state !== 'entering') return;
-
-        const dx = targetPos.x - customer.position.x;
-        const dz = targetPos.z - customer.position.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-
-        if (dist > 0.1) {
-            customer.position.x += dx * 0.08;
-            customer.position.z += dz * 0.08;
-            customer.rotation.y = Math.atan2(dx, dz);
-            requestAnimationFrame(animate);
-        } else {
-            customer.userData.state = 'waiting';
-            customer.rotation.y = Math.PI; // Face counter
-
-            // Show order bubble with actual order text
-            updateOrderBubble(customer);
-
-            // Add to active orders
-            addOrder(customer);
-        }
-    };
-
-    animate();
+    joinQueue(customer);
 }
 
-function animateCustomerLeave(customer) {
+function animateCustomerLeave(customer, stormingOut = false) {
     customer.userData.state = 'leaving';
+    leaveQueue(customer);
 
     // Hide order bubble
     const bubble = customer.getObjectByName('orderBubble');
     if (bubble) bubble.visible = false;
 
-    const animate = () => {
-        if (customer.userData.state !== 'leaving') return;
-
-        customer.position.z += 0.1;
-        customer.rotation.y = 0;
-
-        if (customer.position.z < 12) {
-            requestAnimationFrame(animate);
-        } else {
+    walkTo(customer, CONFIG.NAV.EXIT, {
+        speed: stormingOut ? CONFIG.NAV.STORM_SPEED : CONFIG.NAV.WALK_SPEED,
+        onArrive: () => {
             // Remove customer
             scene.remove(customer);
             const idx = gameState.customers.indexOf(customer);
@@ -1042,16 +1511,20 @@ function animateCustomerLeave(customer) {
             const objIdx = interactableObjects.indexOf(customer);
             if (objIdx > -1) interactableObjects.splice(objIdx, 1);
         }
-    };
-
-    animate();
+    });
 }
 
 function addOrder(customer) {
+    const patience = getCustomerPatience(customer.userData.customerType);
+
     const order = {
         customer: customer,
         items: customer.userData.order,
-        startTime: Date.now()
+        startTime: simClock.time,
+        patience: patience,     // Total seconds this customer will wait
+        patienceLeft: patience, // Ticked down in updateCustomers
+        // Fulfilment per line item (quality/accuracy filled in when served)
+        lines: customer.userData.order.map(item => ({ item, served: false, quality: null, accuracy: null }))
     };
 
     gameState.activeOrders.push(order);
@@ -1071,12 +1544,36 @@ function updateOrdersDisplay() {
 
         card.innerHTML = `
             <div class="order-customer">${typeData.name} #${index + 1}</div>
-            <div class="order-items">${order.items.map(i => i.icon + ' ' + i.name).join(', ')}</div>
+            <div class="order-items">${order.lines.map(l => {
+                const text = l.item.icon + ' ' + l.item.name;
+                return l.served ? `<s>${text}</s>` : text;
+            }).join(', ')}</div>
+            <div class="order-patience"><div class="order-patience-fill"></div></div>
             <div class="order-timer">Waiting...</div>
         `;
 
         panel.appendChild(card);
     });
+
+    updateOrderTimers();
+}
+
+// Refresh countdowns in place (cards match activeOrders by index)
+function updateOrderTimers() {
+    const panel = document.getElementById('orders-panel');
+
+    gameState.activeOrders.forEach((order, index) => {
+        const card = panel.children[index];
+        if (!card) return;
+
+        const ratio = order.patienceLeft / order.patience;
+        const fill = card.querySelector('.order-patience-fill');
+        fill.style.width = (ratio * 100) + '%';
+        fill.style.background = getPatienceColor(ratio);
+
+        card.querySelector('.order-timer').textContent = `${Math.ceil(order.patienceLeft)}s left`;
+        card.classList.toggle('urgent', ratio <= CONFIG.PATIENCE_CRITICAL);
+    });
 }
 
 function updateCustomers(delta) {
@@ -1087,6 +1584,38 @@ function updateCustomers(delta) {
             bubble.lookAt(camera.position);
         }
     });
+
+    // Tick patience (backwards, since walk-outs splice the list)
+    for (let i = gameState.activeOrders.length - 1; i >= 0; i--) {
+        const order = gameState.activeOrders[i];
+        order.patienceLeft = Math.max(0, order.patienceLeft - delta);
+
+        if (order.patienceLeft <= 0) {
+            customerWalkOut(i);
+        } else {
+            updateOrderBubblePatience(order);
+        }
+    }
+
+    updateOrderTimers();
+}
+
+function customerWalkOut(orderIndex) {
+    const order = gameState.activeOrders[orderIndex];
+    const customer = order.customer;
+    const typeData = CUSTOMER_TYPES[customer.userData.customerType];
+
+    gameState.activeOrders.splice(orderIndex, 1);
+    recordWalkOut(customer.userData.customerType, order.items, order.patience);
+
+    updateHUD();
+    updateOrdersDisplay();
+
+    // Storm out
+    animateCustomerLeave(customer, true);
+
+    showNotification('Customer walked out! 😤', `${typeData.name} got tired of waiting`);
+    playSound('error');
 }
 
 // ============================================
@@ -1100,19 +1629,24 @@ function startMiniGame(type, callback) {
     miniGameState.markerPos = 0;
     miniGameState.markerDirection = 1;
     miniGameState.tapProgress = 0;
-    miniGameState.startTime = Date.now();
+    miniGameState.startTime = simClock.time;
+
+    // Quick Hands & co. slow the marker down and cut the taps needed
+    const prepSpeed = getModifier('prepSpeed');
+    miniGameState.markerSpeed = CONFIG.MARKER_SPEED / prepSpeed;
+    miniGameState.tapRequired = Math.max(CONFIG.MIN_TAP_REQUIRED, Math.round(CONFIG.TAP_REQUIRED / prepSpeed));
 
     const overlay = document.getElementById('minigame-overlay');
     overlay.style.display = 'flex';
 
     if (type === 'timing') {
         document.getElementById('minigame-title').textContent = '☕ Pulling Espresso';
-        document.getElementById('minigame-instruction').textContent = 'Press E in the green zone!';
+        document.getElementById('minigame-instruction').textContent = `Press ${getKeyLabel('interact')} in the green zone!`;
         document.getElementById('timing-bar').style.display = 'block';
         document.getElementById('tap-meter').style.display = 'none';
         document.getElementById('tap-count').style.display = 'none';
 
-        miniGameState.targetStart = 30 + Math.random() * 20;
+        miniGameState.targetStart = 30 + random('minigames') * 20;
         miniGameState.targetEnd = miniGameState.targetStart + 20;
 
         const target = document.getElementById('timing-target');
@@ -1120,14 +1654,14 @@ function startMiniGame(type, callback) {
         target.style.width = (miniGameState.targetEnd - miniGameState.targetStart) + '%';
     } else if (type === 'tap') {
         document.getElementById('minigame-title').textContent = '🥛 Frothing Milk';
-        document.getElementById('minigame-instruction').textContent = 'Tap E rapidly!';
+        document.getElementById('minigame-instruction').textContent = `Tap ${getKeyLabel('interact')} rapidly!`;
         document.getElementById('timing-bar').style.display = 'none';
         document.getElementById('tap-meter').style.display = 'block';
         document.getElementById('tap-count').style.display = 'block';
         document.getElementById('tap-fill').style.width = '0%';
     }
 
-    document.exitPointerLock();
+    unlockPointer();
 }
 
 function handleMiniGameInput() {
@@ -1153,25 +1687,26 @@ function handleMiniGameInput() {
         document.getElementById('tap-fill').style.width = (miniGameState.tapProgress / miniGameState.tapRequired * 100) + '%';
 
         if (miniGameState.tapProgress >= miniGameState.tapRequired) {
-            const elapsed = Date.now() - miniGameState.startTime;
-            miniGameState.quality = elapsed < 2000 ? 100 : elapsed < 3500 ? 70 : 40;
+            const elapsed = simClock.time - miniGameState.startTime;
+            miniGameState.quality = elapsed < 2 ? 100 : elapsed < 3.5 ? 70 : 40;
             endMiniGame();
         }
     }
 }
 
-function updateMiniGame() {
+function updateMiniGame(delta) {
     if (!miniGameState.active) return;
 
     if (miniGameState.type === 'timing') {
-        miniGameState.markerPos += miniGameState.markerDirection * 1.2;
+        miniGameState.markerPos += miniGameState.markerDirection * miniGameState.markerSpeed * delta;
         if (miniGameState.markerPos >= 100 || miniGameState.markerPos <= 0) {
+            miniGameState.markerPos = Math.max(0, Math.min(100, miniGameState.markerPos));
             miniGameState.markerDirection *= -1;
         }
         document.getElementById('timing-marker').style.left = miniGameState.markerPos + '%';
     } else if (miniGameState.type === 'tap') {
         if (miniGameState.tapProgress > 0) {
-            miniGameState.tapProgress -= 0.03;
+            miniGameState.tapProgress -= CONFIG.TAP_DECAY * delta;
             document.getElementById('tap-fill').style.width =
                 Math.max(0, miniGameState.tapProgress / miniGameState.tapRequired * 100) + '%';
         }
@@ -1180,6 +1715,7 @@ function updateMiniGame() {
 
 function endMiniGame() {
     document.getElementById('minigame-overlay').style.display = 'none';
+    stopSteam();
 
     if (miniGameState.callback) {
         miniGameState.callback();
@@ -1190,13 +1726,14 @@ function endMiniGame() {
     // Re-lock pointer
     setTimeout(() => {
         if (renderer && renderer.domElement && gameState.isPlaying) {
-            renderer.domElement.requestPointerLock();
+            lockPointer();
         }
     }, 100);
 }
 
 function cancelMiniGame() {
     document.getElementById('minigame-overlay').style.display = 'none';
+    stopSteam();
     miniGameState.active = false;
     miniGameState.quality = 0;
 
@@ -1204,7 +1741,7 @@ function cancelMiniGame() {
 
     setTimeout(() => {
         if (renderer && renderer.domElement && gameState.isPlaying) {
-            renderer.domElement.requestPointerLock();
+            lockPointer();
         }
     }, 100);
 }
@@ -1259,22 +1796,55 @@ function toggleRecipePanel() {
     panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
 }
 
+let shopTab = 'upgrades';
+
 function openShop() {
-    document.exitPointerLock();
+    unlockPointer();
     document.getElementById('shop-modal').style.display = 'flex';
     renderShop();
 }
 
+function setShopTab(tab) {
+    shopTab = tab;
+    renderShop();
+}
+
 function closeShop() {
     document.getElementById('shop-modal').style.display = 'none';
 }
 
 function renderShop() {
     const grid = document.getElementById('shop-grid');
+    const deliveries = document.getElementById('shop-deliveries');
     grid.innerHTML = '';
 
+    document.querySelectorAll('.shop-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === shopTab);
+    });
+
+    if (shopTab === 'supplies') {
+        document.querySelector('.shop-title').textContent = '🚚 Supplier';
+        renderSupplies(grid);
+        renderDeliveries(deliveries);
+        deliveries.style.display = 'block';
+        return;
+    }
+
+    deliveries.style.display = 'none';
+
+    if (shopTab === 'menu') {
+        document.querySelector('.shop-title').textContent = '📋 Menu Board';
+        renderMenuBoard(grid);
+        return;
+    }
+
+    document.querySelector('.shop-title').textContent = '☕ Upgrades';
+    renderUpgrades(grid);
+}
+
+function renderUpgrades(grid) {
     UPGRADES.forEach(upgrade => {
-        const owned = gameState.ownedUpgrades && gameState.ownedUpgrades.includes(upgrade.id);
+        const owned = gameState.ownedUpgrades.includes(upgrade.id);
 
         const item = document.createElement('div');
         item.className = 'shop-item' + (owned ? ' owned' : '');
@@ -1286,7 +1856,7 @@ function renderShop() {
         `;
 
         if (!owned) {
-            item.onclick = () => buyUpgrade(upgrade);
+            item.onclick = () => uiAction('buyUpgrade', upgrade.id);
         }
 
         grid.appendChild(item);
@@ -1294,17 +1864,11 @@ function renderShop() {
 }
 
 function buyUpgrade(upgrade) {
-    if (gameState.money < upgrade.price) {
+    if (!purchaseUpgrade(upgrade)) {
         showNotification('Not enough money!', '');
         return;
     }
 
-    gameState.money -= upgrade.price;
-    if (!gameState.ownedUpgrades) gameState.ownedUpgrades = [];
-    gameState.ownedUpgrades.push(upgrade.id);
-
-    if (upgrade.effect) upgrade.effect();
-
     updateHUD();
     renderShop();
     showNotification('Purchased!', upgrade.name);
@@ -1318,53 +1882,31 @@ function setupAudio() {
         audioContext = new (window.AudioContext || window.webkitAudioContext)();
         masterGain = audioContext.createGain();
         masterGain.connect(audioContext.destination);
-        masterGain.gain.value = 0.3;
+        masterGain.gain.value = settings.volume / 100;
+
+        musicBus = audioContext.createGain();
+        musicBus.connect(masterGain);
+        musicBus.gain.value = settings.musicVolume / 100;
+
+        sfxBus = audioContext.createGain();
+        sfxBus.connect(masterGain);
+        sfxBus.gain.value = settings.sfxVolume / 100;
     } catch (e) {
         console.log('Audio not supported');
     }
 }
 
-function playSound(type) {
-    if (!audioContext) return;
-
-    const osc = audioContext.createOscillator();
-    const gain = audioContext.createGain();
-
-    osc.type = 'sine';
+// Two seconds of white noise, shared by the music's drums and the sound effects
+let noiseBuffer = null;
 
-    switch (type) {
-        case 'pickup':
-            osc.frequency.value = 600;
-            gain.gain.value = 0.05;
-            break;
-        case 'drop':
-            osc.frequency.value = 300;
-            gain.gain.value = 0.05;
-            break;
-        case 'pour':
-            osc.frequency.value = 250;
-            osc.type = 'sawtooth';
-            gain.gain.value = 0.03;
-            break;
-        case 'coin':
-            osc.frequency.value = 880;
-            gain.gain.value = 0.08;
-            break;
-        case 'error':
-            osc.frequency.value = 200;
-            gain.gain.value = 0.1;
-            break;
-        case 'trash':
-            osc.frequency.value = 150;
-            gain.gain.value = 0.06;
-            break;
+function getNoiseBuffer() {
+    if (!noiseBuffer) {
+        const length = audioContext.sampleRate * 2;
+        noiseBuffer = audioContext.createBuffer(1, length, audioContext.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) data[i] = random('audio') * 2 - 1;
     }
-
-    osc.connect(gain);
-    gain.connect(masterGain);
-    gain.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.2);
-    osc.start();
-    osc.stop(audioContext.currentTime + 0.2);
+    return noiseBuffer;
 }
 
 // ============================================
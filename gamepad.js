@@ -0,0 +1,160 @@
+// ============================================
+// CaféVibe - Gamepad
+// Controller polling, dead zones and button mapping
+// ============================================
+
+// Live side: what the controller is doing right now, and what has been queued
+const gamepadState = {
+    index: null,               // navigator.getGamepads() slot in use
+    pressed: {},               // Action -> held last poll
+    sent: { moveX: 0, moveZ: 0, lookX: 0, lookY: 0 }
+};
+
+// Sim side: stick values as last handed over by flushInputs (see replay.js)
+const padInput = {
+    move: { x: 0, z: 0 },
+    look: { x: 0, y: 0 }
+};
+
+function initGamepad() {
+    window.addEventListener('gamepadconnected', (e) => {
+        if (gamepadState.index !== null) return;
+        gamepadState.index = e.gamepad.index;
+        showNotification('🎮 Controller connected', e.gamepad.id.split('(')[0].trim());
+    });
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+        if (e.gamepad.index !== gamepadState.index) return;
+        gamepadState.index = null;
+        gamepadState.pressed = {};
+
+        // Let go of the sticks, or the player keeps walking
+        queuePadAxes(0, 0, 0, 0);
+
+        // Carry on with another controller if one is still plugged in
+        const next = findConnectedPad(e.gamepad.index);
+        if (next) {
+            gamepadState.index = next.index;
+            showNotification('🎮 Switched controller', next.id.split('(')[0].trim());
+            return;
+        }
+
+        setInputDevice('keyboard');
+        showNotification('🎮 Controller disconnected', '');
+    });
+}
+
+// First pad still connected, other than the one at `skipIndex`
+function findConnectedPad(skipIndex) {
+    if (!navigator.getGamepads) return null;
+    return Array.from(navigator.getGamepads()).find(pad => pad && pad.connected && pad.index !== skipIndex) || null;
+}
+
+// Zero both sides, e.g. for a new run - the next poll sends the sticks again
+function resetPadInput() {
+    padInput.move = { x: 0, z: 0 };
+    padInput.look = { x: 0, y: 0 };
+    gamepadState.sent = { moveX: 0, moveZ: 0, lookX: 0, lookY: 0 };
+    gamepadState.pressed = {};
+}
+
+// ============================================
+// POLLING
+// ============================================
+
+// Once a frame - turns stick and button changes into queued input
+function pollGamepad() {
+    if (gamepadState.index === null || !navigator.getGamepads) return;
+    const pad = navigator.getGamepads()[gamepadState.index];
+    if (!pad) return;
+
+    const { MOVE_DEAD_ZONE, LOOK_DEAD_ZONE } = CONFIG.GAMEPAD;
+    const move = applyDeadZone(pad.axes[0], pad.axes[1], MOVE_DEAD_ZONE, 1);
+    const look = applyDeadZone(pad.axes[2], pad.axes[3], LOOK_DEAD_ZONE, 2);
+
+    // Stick up is negative, forward is +z
+    queuePadAxes(move.x, -move.y, look.x, look.y);
+
+    for (const [action, button] of Object.entries(GAMEPAD_BUTTONS)) {
+        const pressed = Boolean(pad.buttons[button.index] && pad.buttons[button.index].pressed);
+        if (pressed === Boolean(gamepadState.pressed[action])) continue;
+
+        gamepadState.pressed[action] = pressed;
+        setInputDevice('gamepad');
+        queueLiveInput({ type: 'padbutton', action, pressed });
+    }
+}
+
+// Radial dead zone, rescaled so output still starts at 0 and reaches 1.
+// `curve` > 1 gives finer control near the centre (used for look).
+function applyDeadZone(x, y, deadZone, curve) {
+    const magnitude = Math.min(1, Math.sqrt(x * x + y * y));
+    if (magnitude < deadZone) return { x: 0, y: 0 };
+
+    const scaled = Math.pow((magnitude - deadZone) / (1 - deadZone), curve);
+    return { x: x / magnitude * scaled, y: y / magnitude * scaled };
+}
+
+function queuePadAxes(moveX, moveZ, lookX, lookY) {
+    const step = CONFIG.GAMEPAD.AXIS_STEP;
+    const round = (v) => Math.round(v / step) * step;
+    const next = { moveX: round(moveX), moveZ: round(moveZ), lookX: round(lookX), lookY: round(lookY) };
+
+    const sent = gamepadState.sent;
+    if (Object.keys(next).every(key => next[key] === sent[key])) return;
+
+    // Only a deliberate push counts as switching to the controller
+    if (next.moveX || next.moveZ || next.lookX || next.lookY) setInputDevice('gamepad');
+
+    gamepadState.sent = next;
+    queueLiveInput({ type: 'padaxes', ...next });
+}
+
+// ============================================
+// HANDLERS (fed by flushInputs)
+// ============================================
+
+function onPadAxes(entry) {
+    padInput.move = { x: entry.moveX, z: entry.moveZ };
+    padInput.look = { x: entry.lookX, y: entry.lookY };
+}
+
+function onPadButton(entry) {
+    if (!gameState.isPlaying) return;
+    if (!entry.pressed) {
+        releaseAction(entry.action);
+        return;
+    }
+
+    // Any face button or trigger works for the mini-games
+    if (miniGameState.active) {
+        if (entry.action === 'cancel' || entry.action === 'pause') {
+            cancelMiniGame();
+        } else {
+            handleMiniGameInput();
+        }
+        return;
+    }
+
+    // The report's buttons aren't reachable without a mouse
+    if (gameState.dayPhase === 'report') {
+        if (entry.action === 'interact') startNextDay();
+        return;
+    }
+
+    triggerAction(entry.action);
+}
+
+// Right stick turns the camera at a steady rate, once per tick
+function updatePadLook(delta) {
+    const { x, y } = padInput.look;
+    if (!x && !y) return;
+
+    const { sensitivity, invertY } = getControls();
+    const rate = CONFIG.GAMEPAD.LOOK_RATE * sensitivity * delta;
+
+    camera.rotation.order = 'YXZ';
+    camera.rotation.y -= x * rate;
+    camera.rotation.x -= y * rate * (invertY ? -1 : 1);
+    camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, camera.rotation.x));
+}
@@ -0,0 +1,142 @@
+// ============================================
+// CaféVibe - Inventory & Supplier
+// Ingredient stock and delayed deliveries
+// ============================================
+
+function initInventory() {
+    gameState.inventory = {};
+    for (const [id, ingredient] of Object.entries(INGREDIENTS)) {
+        gameState.inventory[id] = ingredient.start;
+    }
+    gameState.pendingDeliveries = [];
+}
+
+// ============================================
+// STOCK
+// ============================================
+function getStock(id) {
+    return gameState.inventory[id] || 0;
+}
+
+function hasStock(id, amount = 1) {
+    return getStock(id) >= amount;
+}
+
+function consumeStock(id, amount = 1) {
+    if (!hasStock(id, amount)) return false;
+
+    gameState.inventory[id] -= amount;
+
+    const ingredient = INGREDIENTS[id];
+    if (gameState.inventory[id] === ingredient.lowStock) {
+        showNotification(`Low on ${ingredient.name}! ${ingredient.icon}`, `Order more from the supplier (${getKeyLabel('shop')})`);
+    }
+    return true;
+}
+
+// Refuse an interaction with a clear message when a station is empty
+function requireStock(id) {
+    if (hasStock(id)) return true;
+
+    const ingredient = INGREDIENTS[id];
+    showNotification(`Out of ${ingredient.name}! ${ingredient.icon}`, `Order more from the supplier (${getKeyLabel('shop')})`);
+    playSound('error');
+    return false;
+}
+
+// Amount already on its way for an ingredient
+function getIncomingStock(id) {
+    return gameState.pendingDeliveries
+        .filter(d => d.ingredient === id)
+        .reduce((sum, d) => sum + d.amount, 0);
+}
+
+// ============================================
+// DELIVERIES
+// ============================================
+function orderSupply(supply) {
+    const ingredient = INGREDIENTS[supply.ingredient];
+
+    if (getStock(supply.ingredient) + getIncomingStock(supply.ingredient) + supply.amount > ingredient.max) {
+        showNotification('Storage full!', `No room for more ${ingredient.name}`);
+        return;
+    }
+
+    if (gameState.money < supply.price) {
+        showNotification('Not enough money!', '');
+        return;
+    }
+
+    recordTransaction('supplies', -supply.price, supply.name);
+    updateHUD();
+
+    gameState.pendingDeliveries.push({
+        ingredient: supply.ingredient,
+        amount: supply.amount,
+        name: supply.name,
+        arrivesIn: supply.delay
+    });
+
+    renderShop();
+    showNotification('Ordered! 🚚', `${supply.name} arrives in ${supply.delay}s`);
+}
+
+function updateInventory(delta) {
+    let arrived = false;
+
+    for (let i = gameState.pendingDeliveries.length - 1; i >= 0; i--) {
+        const delivery = gameState.pendingDeliveries[i];
+        delivery.arrivesIn -= delta;
+
+        if (delivery.arrivesIn <= 0) {
+            const max = INGREDIENTS[delivery.ingredient].max;
+            gameState.inventory[delivery.ingredient] = Math.min(max, getStock(delivery.ingredient) + delivery.amount);
+            gameState.pendingDeliveries.splice(i, 1);
+
+            showNotification('Delivery arrived! 📦', delivery.name);
+            arrived = true;
+        }
+    }
+
+    if (arrived && document.getElementById('shop-modal').style.display === 'flex') {
+        renderShop();
+    }
+}
+
+// ============================================
+// SUPPLIER UI
+// ============================================
+function renderSupplies(grid) {
+    SUPPLIES.forEach(supply => {
+        const ingredient = INGREDIENTS[supply.ingredient];
+        const stock = getStock(supply.ingredient);
+        const incoming = getIncomingStock(supply.ingredient);
+
+        const item = document.createElement('div');
+        item.className = 'shop-item' + (stock <= ingredient.lowStock ? ' low-stock' : '');
+        item.innerHTML = `
+            <div class="shop-item-icon">${ingredient.icon}</div>
+            <div class="shop-item-name">${supply.name}</div>
+            <div class="shop-item-desc">+${supply.amount} ${ingredient.unit} · ${supply.delay}s delivery</div>
+            <div class="shop-item-stock">In stock: ${stock}/${ingredient.max}${incoming ? ` (+${incoming} coming)` : ''}</div>
+            <div class="shop-item-price">$${supply.price}</div>
+        `;
+        item.onclick = () => uiAction('orderSupply', supply.id);
+
+        grid.appendChild(item);
+    });
+}
+
+function renderDeliveries(container) {
+    if (gameState.pendingDeliveries.length === 0) {
+        container.innerHTML = '<div class="delivery-row">No deliveries on the way</div>';
+        return;
+    }
+
+    container.innerHTML = gameState.pendingDeliveries.map(d => `
+        <div class="delivery-row">
+            <span>${INGREDIENTS[d.ingredient].icon} ${d.name}</span>
+            <span>${Math.ceil(d.arrivesIn)}s</span>
+        </div>
+    `).join('');
+}
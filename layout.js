@@ -0,0 +1,659 @@
+// ============================================
+// CaféVibe - Café Layout
+// Placed stations and furniture, and the build mode that rearranges them
+// ============================================
+
+// gameState.layout lists every placed piece: { id, kind, x, z, turns }.
+// kind is a FURNITURE id and turns are quarter turns. The layout only changes through
+// buyFurniture / moveFurniture / sellFurniture, which build mode calls via uiAction
+// so a replay rearranges the café at the same tick.
+
+// How each FURNITURE model is built (see environment.js)
+const FURNITURE_MODELS = {
+    espresso: () => createEspressoMachine(),
+    milk: () => createMilkStation(),
+    pastry: () => createPastryDisplay(),
+    cup_dispenser: () => createCupDispenser(),
+    tray_stack: () => createTrayStack(),
+    syrup: (kind) => createSyrupBottle(kind.color || getSeason().station.color),
+    trash: () => createTrashBin(),
+    table: (kind) => createTableSet(kind.umbrella),
+    planter: () => createPlanter()
+};
+
+// What's in the scene for each piece
+const layoutState = {
+    group: null,        // Parent of every placed piece
+    placed: new Map()   // Piece id -> { object, body }
+};
+
+const buildState = {
+    open: false,
+    view: 'inside',     // CONFIG.LAYOUT.VIEWS key
+    selected: null,     // Piece id
+    drag: null,         // { id, x, z } - where the dragged piece would land
+    placing: null,      // { kind, x, z, turns, ghost } - bought, waiting to be put down
+    marker: null,       // Footprint under the selected piece, green if it fits
+    grid: null,
+    savedCamera: null,
+    pointer: new THREE.Vector2()
+};
+
+function initLayout(scene) {
+    layoutState.group = new THREE.Group();
+    scene.add(layoutState.group);
+
+    buildState.marker = new THREE.Mesh(
+        new THREE.PlaneGeometry(1, 1),
+        new THREE.MeshBasicMaterial({ color: 0x44dd66, transparent: true, opacity: 0.45, depthWrite: false })
+    );
+    buildState.marker.rotation.x = -Math.PI / 2;
+    buildState.marker.visible = false;
+    scene.add(buildState.marker);
+
+    // One line per ground snap step
+    const step = CONFIG.LAYOUT.GRID.ground;
+    buildState.grid = new THREE.GridHelper(20, 20 / step, 0xffffff, 0xffffff);
+    buildState.grid.material.transparent = true;
+    buildState.grid.material.opacity = 0.12;
+    buildState.grid.position.y = 0.03;
+    buildState.grid.visible = false;
+    scene.add(buildState.grid);
+
+    renderer.domElement.addEventListener('pointerdown', onBuildPointerDown);
+    renderer.domElement.addEventListener('pointermove', onBuildPointerMove);
+    window.addEventListener('pointerup', onBuildPointerUp);
+    window.addEventListener('keydown', onBuildKeyDown);
+
+    gameState.layout = createDefaultLayout();
+    buildLayout();
+}
+
+function createDefaultLayout() {
+    return DEFAULT_LAYOUT.map((piece, i) => ({ id: i + 1, kind: piece.kind, x: piece.x, z: piece.z, turns: 0 }));
+}
+
+function getPiece(id) {
+    return gameState.layout.find(piece => piece.id === id) || null;
+}
+
+// ============================================
+// FOOTPRINTS
+// ============================================
+
+// Rectangle a piece covers - odd quarter turns swap width and depth
+function getFootprint(piece, size = FURNITURE[piece.kind].size) {
+    const [width, depth] = piece.turns % 2 === 0 ? size : [size[1], size[0]];
+    return {
+        minX: piece.x - width / 2,
+        maxX: piece.x + width / 2,
+        minZ: piece.z - depth / 2,
+        maxZ: piece.z + depth / 2
+    };
+}
+
+// { x, z, width, depth } (NAV_OBSTACLES, the doorway) as a rectangle
+function toRect(box) {
+    return {
+        minX: box.x - box.width / 2,
+        maxX: box.x + box.width / 2,
+        minZ: box.z - box.depth / 2,
+        maxZ: box.z + box.depth / 2
+    };
+}
+
+// Touching edges don't count
+function rectsOverlap(a, b) {
+    return a.minX < b.maxX && a.maxX > b.minX && a.minZ < b.maxZ && a.maxZ > b.minZ;
+}
+
+// Counter pieces share the counter top, everything else shares the ground
+function getPieceLevel(kind) {
+    return FURNITURE[kind].areas.includes('counter') ? 'counter' : 'ground';
+}
+
+function getLevelHeight(kind) {
+    return CONFIG.LAYOUT.AREAS[FURNITURE[kind].areas[0]].y;
+}
+
+// The area a piece stands in, or null if it sticks out of every one it's allowed in
+function getPieceArea(piece) {
+    const rect = getFootprint(piece);
+    const EPSILON = 1e-6;
+
+    return FURNITURE[piece.kind].areas.find(id => {
+        const area = CONFIG.LAYOUT.AREAS[id];
+        return rect.minX >= area.minX - EPSILON && rect.maxX <= area.maxX + EPSILON &&
+            rect.minZ >= area.minZ - EPSILON && rect.maxZ <= area.maxZ + EPSILON;
+    }) || null;
+}
+
+// Footprints customers walk around - pieces on the counter are covered by the counter itself
+function getLayoutObstacles(layout) {
+    return layout.filter(piece => getPieceLevel(piece.kind) === 'ground').map(piece => {
+        const kind = FURNITURE[piece.kind];
+        const rect = getFootprint(piece, kind.obstacle || kind.size);
+        return { x: piece.x, z: piece.z, width: rect.maxX - rect.minX, depth: rect.maxZ - rect.minZ };
+    });
+}
+
+// Every queue spot (the overflow line too) and the doorway
+function getKeepClearZones() {
+    const { KEEP_CLEAR, DOORWAY } = CONFIG.LAYOUT;
+    const zones = [toRect(DOORWAY)];
+
+    for (let i = 0; i < CONFIG.MAX_CUSTOMERS; i++) {
+        const spot = getQueueSlotPosition(i);
+        zones.push(toRect({ x: spot.x, z: spot.z, width: KEEP_CLEAR * 2, depth: KEEP_CLEAR * 2 }));
+    }
+    return zones;
+}
+
+// ============================================
+// PLACEMENT RULES
+// ============================================
+
+// Why `piece` can't stand where it says in `layout` (replacing any piece with its id), or null if it can
+function getPlacementProblem(layout, piece) {
+    if (hasDirtyCups(piece.id)) return 'Clear the table first';
+    if (!getPieceArea(piece)) return 'It doesn\'t fit there';
+
+    const rect = getFootprint(piece);
+    const level = getPieceLevel(piece.kind);
+    const others = layout.filter(other => other.id !== piece.id);
+
+    const blocked = others.some(other => getPieceLevel(other.kind) === level && rectsOverlap(rect, getFootprint(other)));
+    if (blocked) return 'Something is in the way';
+    if (level === 'counter') return null;
+
+    if (NAV_OBSTACLES.some(obstacle => rectsOverlap(rect, toRect(obstacle)))) return 'Something is in the way';
+    if (getKeepClearZones().some(zone => rectsOverlap(rect, zone))) return 'Customers need that spot';
+
+    // Try the layout out - everyone still has to get to the line, every seat and back out
+    const trial = [...others, piece];
+    const grid = createNavGrid([...NAV_OBSTACLES, ...getLayoutObstacles(trial)]);
+    const reached = getReachableCells(grid, CONFIG.NAV.SPAWN);
+    const spots = [CONFIG.NAV.EXIT];
+    for (let i = 0; i < CONFIG.MAX_CUSTOMERS; i++) spots.push(getQueueSlotPosition(i));
+    trial.filter(p => FURNITURE[p.kind].seats).forEach(table => spots.push(...getTableSeats(table)));
+
+    if (!spots.every(spot => isPointReachable(grid, reached, spot))) return 'That would block the way';
+    return null;
+}
+
+function getSellProblem(piece) {
+    const kind = FURNITURE[piece.kind];
+    if (kind.required && gameState.layout.filter(p => p.kind === piece.kind).length === 1) {
+        return `Can't sell the last ${kind.name}`;
+    }
+    if (hasDirtyCups(piece.id)) return 'Clear the table first';
+    return null;
+}
+
+function getSellRefund(kind) {
+    return Math.round(kind.price * CONFIG.LAYOUT.SELL_REFUND);
+}
+
+// ============================================
+// PIECES IN THE SCENE
+// ============================================
+
+// Rebuild every piece from gameState.layout (startup, a new run, loading a save)
+function buildLayout() {
+    layoutState.placed.forEach((placed, id) => removePiece(id));
+    gameState.layout.forEach(placePiece);
+
+    buildNavGrid();
+    syncPatioTables();
+}
+
+// Model, station and collider for one piece
+function placePiece(piece) {
+    const kind = FURNITURE[piece.kind];
+    const y = getLevelHeight(piece.kind);
+
+    const object = FURNITURE_MODELS[kind.model](kind);
+    object.position.set(piece.x, y, piece.z);
+    object.rotation.y = piece.turns * Math.PI / 2;
+    object.userData = { layoutId: piece.id };
+
+    if (kind.station) {
+        object.userData.type = kind.model;
+        object.userData.interactable = true;
+        if (kind.model === 'syrup') object.userData.syrupType = kind.syrupType || getSeason().station.ingredient;
+        interactableObjects.push(object);
+    }
+    if (kind.seasonal) SCENERY.seasonalSyrups.push(object);
+    layoutState.group.add(object);
+
+    // Thrown cups bounce off it
+    let body = null;
+    if (physicsWorld) {
+        const rect = getFootprint(piece, kind.obstacle || kind.size);
+        body = addStaticBox(piece.x, y + kind.height / 2, piece.z, rect.maxX - rect.minX, kind.height, rect.maxZ - rect.minZ);
+    }
+
+    layoutState.placed.set(piece.id, { object, body });
+}
+
+function removePiece(id) {
+    const placed = layoutState.placed.get(id);
+    if (!placed) return;
+
+    layoutState.group.remove(placed.object);
+
+    const idx = interactableObjects.indexOf(placed.object);
+    if (idx > -1) interactableObjects.splice(idx, 1);
+
+    const syrupIdx = SCENERY.seasonalSyrups.indexOf(placed.object);
+    if (syrupIdx > -1) SCENERY.seasonalSyrups.splice(syrupIdx, 1);
+
+    if (placed.body) removeStaticBox(placed.body);
+    layoutState.placed.delete(id);
+}
+
+// Put a dragged piece's model back where the layout says it is
+function resetPieceObject(piece) {
+    const placed = layoutState.placed.get(piece.id);
+    if (placed) placed.object.position.set(piece.x, getLevelHeight(piece.kind), piece.z);
+}
+
+// ============================================
+// CHANGES
+// ============================================
+// Called through uiAction (see REPLAY_ACTIONS). Each one checks again, so
+// a stale click or an odd replay can't leave the café in a bad state.
+
+function buyFurniture(kindId, x, z, turns) {
+    const kind = FURNITURE[kindId];
+    if (!kind) return;
+
+    const piece = { id: gameState.layout.reduce((max, p) => Math.max(max, p.id), 0) + 1, kind: kindId, x, z, turns };
+    const problem = gameState.money < kind.price ? 'Not enough money!' : getPlacementProblem(gameState.layout, piece);
+    if (problem) {
+        showNotification(problem, kind.name);
+        return;
+    }
+
+    recordTransaction('furniture', -kind.price, kind.name);
+    gameState.layout.push(piece);
+    placePiece(piece);
+    onLayoutChanged();
+    showNotification('Purchased!', kind.name);
+}
+
+function moveFurniture(id, x, z, turns) {
+    const piece = getPiece(id);
+    if (!piece) return;
+
+    const problem = getPlacementProblem(gameState.layout, { ...piece, x, z, turns });
+    if (problem) {
+        resetPieceObject(piece);
+        showNotification(problem, FURNITURE[piece.kind].name);
+        return;
+    }
+
+    Object.assign(piece, { x, z, turns });
+    removePiece(id);
+    placePiece(piece);
+    onLayoutChanged();
+}
+
+function sellFurniture(id) {
+    const piece = getPiece(id);
+    if (!piece) return;
+
+    const kind = FURNITURE[piece.kind];
+    const problem = getSellProblem(piece);
+    if (problem) {
+        showNotification(problem, kind.name);
+        return;
+    }
+
+    const refund = getSellRefund(kind);
+    recordTransaction('furniture', refund, kind.name);
+    gameState.layout.splice(gameState.layout.indexOf(piece), 1);
+    removePiece(id);
+    onLayoutChanged();
+    showNotification('Sold!', `${kind.name} +$${refund}`);
+}
+
+// Customers re-route, tables re-seat, the HUD and build panel catch up
+function onLayoutChanged() {
+    buildNavGrid();
+    replanNavAgents();
+    syncPatioTables();
+    updateHUD();
+
+    if (buildState.open) {
+        if (!getPiece(buildState.selected)) buildState.selected = null;
+        selectPiece(buildState.selected);
+    }
+}
+
+// ============================================
+// BUILD MODE
+// ============================================
+// A top-down view opened from the end-of-day report. Dragging only moves the
+// model around - the move itself goes through uiAction when it's let go.
+
+function isBuildModeOpen() {
+    return buildState.open;
+}
+
+function openBuildMode() {
+    if (buildState.open || gameState.dayPhase !== 'report' || isReplaying()) return;
+
+    buildState.open = true;
+    buildState.savedCamera = { position: camera.position.clone(), rotation: camera.rotation.clone() };
+
+    document.getElementById('day-report').style.display = 'none';
+    document.getElementById('crosshair').style.display = 'none';
+    document.getElementById('build-panel').style.display = 'flex';
+    SCENERY.roof.forEach(part => { part.visible = false; });
+    buildState.grid.visible = true;
+
+    setBuildView(buildState.view);
+    selectPiece(null);
+}
+
+function closeBuildMode() {
+    if (!buildState.open) return;
+
+    cancelPlacing();
+    buildState.open = false;
+    buildState.selected = null;
+    buildState.drag = null;
+    buildState.marker.visible = false;
+    buildState.grid.visible = false;
+    SCENERY.roof.forEach(part => { part.visible = true; });
+
+    camera.position.copy(buildState.savedCamera.position);
+    camera.rotation.copy(buildState.savedCamera.rotation);
+
+    document.getElementById('build-panel').style.display = 'none';
+    document.getElementById('crosshair').style.display = 'block';
+    document.getElementById('day-report').style.display = 'flex';
+}
+
+// Escape: drop whatever's being placed first, then leave
+function cancelBuildStep() {
+    if (buildState.placing) {
+        cancelPlacing();
+    } else {
+        closeBuildMode();
+    }
+}
+
+function setBuildView(view) {
+    buildState.view = view;
+
+    const spot = CONFIG.LAYOUT.VIEWS[view];
+    camera.position.set(spot.x, spot.y, spot.z);
+    camera.rotation.set(-Math.PI / 2, 0, 0, 'YXZ');
+
+    document.querySelectorAll('.build-view').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === view);
+    });
+}
+
+function selectPiece(id) {
+    buildState.selected = id;
+
+    const piece = getPiece(id);
+    if (piece) {
+        updateMarker(piece);
+    } else {
+        buildState.marker.visible = false;
+    }
+    renderBuildPanel();
+}
+
+function updateMarker(piece) {
+    const marker = buildState.marker;
+    const rect = getFootprint(piece);
+
+    marker.scale.set(rect.maxX - rect.minX, rect.maxZ - rect.minZ, 1);
+    marker.position.set(piece.x, getLevelHeight(piece.kind) + 0.04, piece.z);
+    marker.material.color.setHex(getPlacementProblem(gameState.layout, piece) ? 0xdd4444 : 0x44dd66);
+    marker.visible = true;
+}
+
+function renderBuildPanel() {
+    const catalog = document.getElementById('build-catalog');
+    const placingKind = buildState.placing && buildState.placing.kind;
+
+    catalog.innerHTML = Object.entries(FURNITURE).map(([id, kind]) => `
+        <div class="build-item${id === placingKind ? ' active' : ''}${gameState.money < kind.price ? ' unaffordable' : ''}"
+            onclick="startPlacing('${id}')">
+            <span class="build-item-icon">${kind.icon}</span>
+            <span class="build-item-name">${kind.name}</span>
+            <span class="build-item-price">$${kind.price}</span>
+        </div>
+    `).join('');
+
+    const selection = document.getElementById('build-selection');
+    const piece = getPiece(buildState.selected);
+    if (!piece) {
+        selection.innerHTML = placingKind
+            ? `<div class="build-selected">Placing ${FURNITURE[placingKind].name}</div>`
+            : '<div class="build-selected">Click a piece to select it</div>';
+        return;
+    }
+
+    const kind = FURNITURE[piece.kind];
+    selection.innerHTML = `
+        <div class="build-selected">${kind.icon} ${kind.name}</div>
+        <div class="build-actions">
+            <button class="shop-tab" onclick="rotateSelection()">⟳ Turn</button>
+            <button class="shop-tab" onclick="sellSelection()">Sell +$${getSellRefund(kind)}</button>
+        </div>
+    `;
+}
+
+// ============================================
+// BUILD MODE - INPUT
+// ============================================
+
+function setBuildPointer(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    buildState.pointer.set(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    raycaster.setFromCamera(buildState.pointer, camera);
+}
+
+// Where the pointer meets the ground (or the counter top) for a kind of piece, snapped to the grid
+function getBuildPoint(event, kind) {
+    setBuildPointer(event);
+
+    const plane = new THREE.Plane(new THREE.Vector3(0, 1, 0), -getLevelHeight(kind));
+    const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!hit) return null;
+
+    const step = CONFIG.LAYOUT.GRID[getPieceLevel(kind)];
+    const snap = (value) => Number((Math.round(value / step) * step).toFixed(2));
+    return { x: snap(hit.x), z: snap(hit.z) };
+}
+
+function pickPiece(event) {
+    setBuildPointer(event);
+
+    const hits = raycaster.intersectObjects(layoutState.group.children, true);
+    if (hits.length === 0) return null;
+
+    let target = hits[0].object;
+    while (target && target.userData.layoutId === undefined) {
+        target = target.parent;
+    }
+    return target ? target.userData.layoutId : null;
+}
+
+function onBuildPointerDown(event) {
+    if (!buildState.open || event.button !== 0) return;
+
+    if (buildState.placing) {
+        confirmPlacing();
+        return;
+    }
+
+    const id = pickPiece(event);
+    selectPiece(id);
+
+    const piece = getPiece(id);
+    if (piece) buildState.drag = { id, x: piece.x, z: piece.z };
+}
+
+function onBuildPointerMove(event) {
+    if (!buildState.open) return;
+
+    const placing = buildState.placing;
+    if (placing) {
+        const point = getBuildPoint(event, placing.kind);
+        if (!point) return;
+        Object.assign(placing, point);
+        updatePlacingGhost();
+        return;
+    }
+
+    const drag = buildState.drag;
+    if (!drag) return;
+
+    const piece = getPiece(drag.id);
+    const point = getBuildPoint(event, piece.kind);
+    if (!point || (point.x === drag.x && point.z === drag.z)) return;
+
+    drag.x = point.x;
+    drag.z = point.z;
+    const { object } = layoutState.placed.get(drag.id);
+    object.position.x = drag.x;
+    object.position.z = drag.z;
+    updateMarker({ ...piece, x: drag.x, z: drag.z });
+}
+
+function onBuildPointerUp() {
+    const drag = buildState.drag;
+    if (!drag) return;
+    buildState.drag = null;
+
+    const piece = getPiece(drag.id);
+    if (!piece || (drag.x === piece.x && drag.z === piece.z)) return;
+
+    const problem = getPlacementProblem(gameState.layout, { ...piece, x: drag.x, z: drag.z });
+    if (problem) {
+        showNotification(problem, FURNITURE[piece.kind].name);
+        resetPieceObject(piece);
+        updateMarker(piece);
+        return;
+    }
+
+    uiAction('moveFurniture', piece.id, drag.x, drag.z, piece.turns);
+}
+
+function onBuildKeyDown(event) {
+    if (!buildState.open) return;
+
+    if (event.code === 'KeyR') rotateSelection();
+    if (['KeyX', 'Delete', 'Backspace'].includes(event.code)) sellSelection();
+}
+
+function rotateSelection() {
+    const placing = buildState.placing;
+    if (placing) {
+        placing.turns = (placing.turns + 1) % 4;
+        if (placing.ghost.visible) updatePlacingGhost();
+        return;
+    }
+
+    const piece = getPiece(buildState.selected);
+    if (!piece || buildState.drag) return;
+
+    const turns = (piece.turns + 1) % 4;
+    const problem = getPlacementProblem(gameState.layout, { ...piece, turns });
+    if (problem) {
+        showNotification(problem, FURNITURE[piece.kind].name);
+        return;
+    }
+
+    uiAction('moveFurniture', piece.id, piece.x, piece.z, turns);
+}
+
+function sellSelection() {
+    const piece = getPiece(buildState.selected);
+    if (!piece || buildState.drag) return;
+
+    const problem = getSellProblem(piece);
+    if (problem) {
+        showNotification(problem, FURNITURE[piece.kind].name);
+        return;
+    }
+
+    selectPiece(null);
+    uiAction('sellFurniture', piece.id);
+}
+
+// ============================================
+// BUILD MODE - BUYING
+// ============================================
+
+// A see-through box follows the pointer until it's clicked down
+function startPlacing(kindId) {
+    const kind = FURNITURE[kindId];
+    if (gameState.money < kind.price) {
+        showNotification('Not enough money!', kind.name);
+        return;
+    }
+
+    cancelPlacing();
+    selectPiece(null);
+
+    const ghost = new THREE.Mesh(
+        new THREE.BoxGeometry(kind.size[0], kind.height, kind.size[1]),
+        new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.35 })
+    );
+    ghost.visible = false; // Until the pointer is over the café
+    scene.add(ghost);
+
+    buildState.placing = { kind: kindId, x: 0, z: 0, turns: 0, ghost };
+    renderBuildPanel();
+}
+
+function updatePlacingGhost() {
+    const { kind, x, z, turns, ghost } = buildState.placing;
+
+    ghost.position.set(x, getLevelHeight(kind) + FURNITURE[kind].height / 2, z);
+    ghost.rotation.y = turns * Math.PI / 2;
+    ghost.visible = true;
+    updateMarker({ id: null, kind, x, z, turns });
+}
+
+function confirmPlacing() {
+    const { kind, x, z, turns, ghost } = buildState.placing;
+    if (!ghost.visible) return;
+
+    const furniture = FURNITURE[kind];
+    const problem = gameState.money < furniture.price
+        ? 'Not enough money!'
+        : getPlacementProblem(gameState.layout, { id: null, kind, x, z, turns });
+    if (problem) {
+        showNotification(problem, furniture.name);
+        return;
+    }
+
+    cancelPlacing();
+    uiAction('buyFurniture', kind, x, z, turns);
+}
+
+function cancelPlacing() {
+    const placing = buildState.placing;
+    if (!placing) return;
+
+    scene.remove(placing.ghost);
+    placing.ghost.geometry.dispose();
+    placing.ghost.material.dispose();
+    buildState.placing = null;
+    buildState.marker.visible = false;
+
+    if (buildState.open) renderBuildPanel();
+}
@@ -0,0 +1,318 @@
+// ============================================
+// CaféVibe - Music
+// Generative lo-fi tracks on the Web Audio clock
+// ============================================
+
+// Chords are MIDI notes, one per bar. Drum patterns are 16 steps per bar:
+// 'x' always plays, 'o' only once the café gets busy.
+const MUSIC_TRACKS = [
+    {
+        name: 'Autumn',
+        bpm: 78,
+        swing: 0.12,
+        chords: [[53, 57, 60, 64], [52, 55, 59, 62], [50, 53, 57, 60], [48, 52, 55, 59]], // Fmaj7 Em7 Dm7 Cmaj7
+        bass: [41, 40, 38, 36],
+        melody: [72, 74, 76, 79, 81],
+        kick: 'x.....x...x...o.',
+        snare: '....x.......x...',
+        hat: 'x.x.x.x.x.x.x.x.',
+        ghostHat: '.o.o.o.o.o.o.o.o',
+        vinyl: 0.5,
+        rain: 0
+    },
+    {
+        name: 'Rain',
+        bpm: 70,
+        swing: 0.1,
+        chords: [[57, 60, 64, 67], [53, 57, 60, 64], [48, 52, 55, 59], [55, 59, 62, 64]], // Am7 Fmaj7 Cmaj7 G6
+        bass: [45, 41, 36, 43],
+        melody: [69, 72, 74, 76, 79],
+        kick: 'x.......x.x.....',
+        snare: '....x.......x..o',
+        hat: '..x...x...x...x.',
+        ghostHat: 'o...o...o...o...',
+        vinyl: 0.35,
+        rain: 0.6
+    },
+    {
+        name: 'Night',
+        bpm: 62,
+        swing: 0.15,
+        chords: [[53, 57, 60, 64], [53, 57, 59, 64], [52, 55, 59, 62], [49, 52, 55, 58]], // Dm9 G13 Cmaj9 A7b9
+        bass: [38, 43, 36, 45],
+        melody: [74, 77, 79, 81, 84],
+        kick: 'x.........x.....',
+        snare: '........x.......',
+        hat: 'x...x...x...x...',
+        ghostHat: '..o...o...o...o.',
+        vinyl: 0.6,
+        rain: 0
+    }
+];
+
+const musicState = {
+    choice: 'auto',    // Music panel pick - 'auto' follows the weather and time of day (see weather.js)
+    track: 0,          // Index into MUSIC_TRACKS
+    players: [],       // Tracks currently sounding - more than one while crossfading
+    intensity: 0       // 0 (calm) to 1 (queue out the door), smoothed
+};
+
+function initMusic() {
+    if (!audioContext) return;
+
+    // Browsers keep audio suspended until the player does something
+    const unlock = () => {
+        if (audioContext.state === 'suspended') audioContext.resume();
+    };
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+        window.addEventListener(type, unlock, { passive: true });
+    });
+
+    setMusicTrack(musicState.choice);
+}
+
+// The music panel, loading a save - a track index, or 'auto'
+function setMusicTrack(choice) {
+    if (choice !== 'auto' && !MUSIC_TRACKS[choice]) return;
+    musicState.choice = choice;
+
+    document.querySelectorAll('.music-track').forEach(t => {
+        t.classList.toggle('active', t.dataset.track === String(choice));
+    });
+
+    playMusicTrack(choice === 'auto' ? getEnvironmentMusicTrack() : choice);
+}
+
+// Switch what's playing - the old track fades out under the new
+function playMusicTrack(index) {
+    const current = musicState.players.find(p => !p.stopping);
+    if (!audioContext || (current && current.track === MUSIC_TRACKS[index])) return;
+    musicState.track = index;
+
+    const now = audioContext.currentTime;
+    const fade = CONFIG.MUSIC.CROSSFADE;
+
+    if (current) {
+        current.stopping = true;
+        current.stopAt = now + fade;
+        current.output.gain.setValueAtTime(current.output.gain.value, now);
+        current.output.gain.linearRampToValueAtTime(0, now + fade);
+    }
+
+    const player = createPlayer(MUSIC_TRACKS[index]);
+    player.output.gain.setValueAtTime(0, now);
+    player.output.gain.linearRampToValueAtTime(1, now + (current ? fade : 1));
+    musicState.players.push(player);
+}
+
+// Every frame: follow the queue, schedule upcoming notes, retire faded tracks
+function updateMusic(delta) {
+    if (!audioContext || audioContext.state !== 'running') return;
+
+    const target = gameState.isPlaying ? Math.min(1, gameState.queue.length / CONFIG.MAX_CUSTOMERS) : 0;
+    const rate = Math.min(1, CONFIG.MUSIC.INTENSITY_RATE * delta);
+    musicState.intensity += (target - musicState.intensity) * rate;
+
+    if (musicState.choice === 'auto') playMusicTrack(getEnvironmentMusicTrack());
+
+    const horizon = audioContext.currentTime + CONFIG.MUSIC.LOOKAHEAD;
+    musicState.players = musicState.players.filter(player => {
+        if (player.stopping && audioContext.currentTime >= player.stopAt) {
+            stopPlayer(player);
+            return false;
+        }
+
+        while (player.nextStepTime < horizon) {
+            scheduleStep(player, player.step, player.nextStepTime);
+            player.step++;
+            player.nextStepTime += 60 / player.track.bpm / 4;
+        }
+        return true;
+    });
+}
+
+// ============================================
+// PLAYERS
+// ============================================
+
+// One track's signal chain: keys and bass through a warm lowpass, noise beds, a fader
+function createPlayer(track) {
+    const output = audioContext.createGain();
+    output.connect(musicBus);
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 1200;
+    filter.Q.value = 0.7;
+    filter.connect(output);
+
+    const beds = [];
+    if (track.vinyl) beds.push(createNoiseBed(output, 'lowpass', 3000, track.vinyl * 0.015));
+    if (track.rain) beds.push(createNoiseBed(output, 'bandpass', 1200, track.rain * 0.08));
+
+    return {
+        track,
+        output,
+        filter,
+        beds,
+        step: 0,
+        nextStepTime: audioContext.currentTime + 0.1,
+        stopping: false,
+        stopAt: 0
+    };
+}
+
+function stopPlayer(player) {
+    player.beds.forEach(source => source.stop());
+    player.output.disconnect();
+}
+
+// Looping filtered noise - vinyl hiss, rain on the window
+function createNoiseBed(destination, type, frequency, level) {
+    const source = audioContext.createBufferSource();
+    source.buffer = getNoiseBuffer();
+    source.loop = true;
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+
+    const gain = audioContext.createGain();
+    gain.gain.value = level;
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+    source.start();
+    return source;
+}
+
+// ============================================
+// ARRANGEMENT
+// ============================================
+
+function scheduleStep(player, step, time) {
+    const track = player.track;
+    const intensity = musicState.intensity;
+    const stepInBar = step % 16;
+    const bar = Math.floor(step / 16) % track.chords.length;
+    const stepLength = 60 / track.bpm / 4;
+
+    // Lazy off-beats
+    if (stepInBar % 2 === 1) time += track.swing * stepLength;
+
+    const hits = (pattern) => pattern[stepInBar] === 'x' || (pattern[stepInBar] === 'o' && random('audio') < intensity);
+    const drumLevel = 0.5 + 0.5 * intensity;
+
+    if (stepInBar === 0) {
+        // Busier café, brighter mix
+        player.filter.frequency.setTargetAtTime(900 + 2600 * intensity, time, 0.5);
+        track.chords[bar].forEach((note, i) => playKeys(player, time + i * 0.012, note, stepLength * 15, 0.05));
+    }
+
+    // Bass on the one and the and-of-three
+    if (stepInBar === 0 || stepInBar === 10) playBass(player, time, track.bass[bar], stepLength * 5);
+
+    if (hits(track.kick)) playKick(player, time, 0.5 * drumLevel);
+    if (hits(track.snare)) playSnare(player, time, 0.18 * drumLevel);
+    if (hits(track.hat) || hits(track.ghostHat)) playHat(player, time, (stepInBar % 4 === 0 ? 0.05 : 0.03) * drumLevel);
+
+    // Sparse melody on the eighths, more of it as things pick up
+    if (stepInBar % 2 === 0 && random('audio') < 0.04 + 0.2 * intensity) {
+        const note = track.melody[Math.floor(random('audio') * track.melody.length)];
+        playKeys(player, time, note, stepLength * 3, 0.035);
+    }
+
+    // Vinyl crackle
+    if (track.vinyl && random('audio') < track.vinyl * 0.15) playCrackle(player, time + random('audio') * stepLength);
+}
+
+// ============================================
+// INSTRUMENTS
+// ============================================
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Soft electric piano - triangle plus a slightly detuned sine
+function playKeys(player, time, note, duration, level) {
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(level, time + 0.015);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+    gain.connect(player.filter);
+
+    [['triangle', 0], ['sine', 7]].forEach(([type, detune]) => {
+        const osc = audioContext.createOscillator();
+        osc.type = type;
+        osc.frequency.value = midiToFrequency(note);
+        osc.detune.value = detune;
+        osc.connect(gain);
+        osc.start(time);
+        osc.stop(time + duration + 0.05);
+    });
+}
+
+function playBass(player, time, note, duration) {
+    const osc = audioContext.createOscillator();
+    osc.type = 'sine';
+    osc.frequency.value = midiToFrequency(note);
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(0.12, time + 0.02);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    osc.connect(gain);
+    gain.connect(player.filter);
+    osc.start(time);
+    osc.stop(time + duration + 0.05);
+}
+
+function playKick(player, time, level) {
+    const osc = audioContext.createOscillator();
+    osc.frequency.setValueAtTime(120, time);
+    osc.frequency.exponentialRampToValueAtTime(45, time + 0.12);
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(level, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + 0.35);
+
+    osc.connect(gain);
+    gain.connect(player.output);
+    osc.start(time);
+    osc.stop(time + 0.4);
+}
+
+function playNoiseHit(player, time, type, frequency, level, duration) {
+    const source = audioContext.createBufferSource();
+    source.buffer = getNoiseBuffer();
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(level, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(player.output);
+
+    // Start somewhere random in the buffer so hits don't all sound identical
+    source.start(time, random('audio') * 1.5, duration + 0.05);
+}
+
+function playSnare(player, time, level) {
+    playNoiseHit(player, time, 'bandpass', 1800, level, 0.18);
+}
+
+function playHat(player, time, level) {
+    playNoiseHit(player, time, 'highpass', 7000, level, 0.05);
+}
+
+function playCrackle(player, time) {
+    playNoiseHit(player, time, 'highpass', 2500, 0.02 + random('audio') * 0.03, 0.008);
+}
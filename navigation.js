@@ -0,0 +1,412 @@
+// ============================================
+// CaféVibe - Navigation
+// Grid A* pathfinding and customer steering
+// ============================================
+
+// Walkability grid over CONFIG.NAV.BOUNDS, built from NAV_OBSTACLES and the café layout
+let navGrid = null;
+
+// Customers currently walking somewhere (each has userData.nav)
+let navAgents = [];
+
+// 8-way neighbours: [dCol, dRow, cost]
+const NAV_DIRECTIONS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+// ============================================
+// GRID
+// ============================================
+// Rebuilt whenever the layout changes (see layout.js)
+function buildNavGrid() {
+    navGrid = createNavGrid([...NAV_OBSTACLES, ...getLayoutObstacles(gameState.layout)]);
+}
+
+// The layout editor also builds grids for layouts it's only trying out
+function createNavGrid(obstacles) {
+    const { CELL_SIZE, AGENT_RADIUS, BOUNDS } = CONFIG.NAV;
+    const cols = Math.ceil((BOUNDS.maxX - BOUNDS.minX) / CELL_SIZE);
+    const rows = Math.ceil((BOUNDS.maxZ - BOUNDS.minZ) / CELL_SIZE);
+    const walkable = new Uint8Array(cols * rows).fill(1);
+
+    // Obstacles are grown by the agent radius so customers don't clip corners
+    obstacles.forEach(o => {
+        const minX = o.x - o.width / 2 - AGENT_RADIUS;
+        const maxX = o.x + o.width / 2 + AGENT_RADIUS;
+        const minZ = o.z - o.depth / 2 - AGENT_RADIUS;
+        const maxZ = o.z + o.depth / 2 + AGENT_RADIUS;
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const center = getCellCenter(col, row);
+                if (center.x > minX && center.x < maxX && center.z > minZ && center.z < maxZ) {
+                    walkable[row * cols + col] = 0;
+                }
+            }
+        }
+    });
+
+    return { cols, rows, walkable };
+}
+
+function getCellCenter(col, row) {
+    const { CELL_SIZE, BOUNDS } = CONFIG.NAV;
+    return {
+        x: BOUNDS.minX + (col + 0.5) * CELL_SIZE,
+        z: BOUNDS.minZ + (row + 0.5) * CELL_SIZE
+    };
+}
+
+function getCellAt(x, z) {
+    const { CELL_SIZE, BOUNDS } = CONFIG.NAV;
+    return {
+        col: Math.floor((x - BOUNDS.minX) / CELL_SIZE),
+        row: Math.floor((z - BOUNDS.minZ) / CELL_SIZE)
+    };
+}
+
+function isCellWalkable(col, row, grid = navGrid) {
+    if (col < 0 || row < 0 || col >= grid.cols || row >= grid.rows) return false;
+    return grid.walkable[row * grid.cols + col] === 1;
+}
+
+function isWalkableAt(x, z) {
+    const cell = getCellAt(x, z);
+    return isCellWalkable(cell.col, cell.row);
+}
+
+// Closest walkable cell (seats and queue spots can sit inside an obstacle's margin)
+function findNearestWalkableCell(cell, grid = navGrid) {
+    if (isCellWalkable(cell.col, cell.row, grid)) return cell;
+
+    const maxRadius = Math.max(grid.cols, grid.rows);
+    for (let r = 1; r < maxRadius; r++) {
+        let best = null;
+        let bestDist = Infinity;
+        for (let dr = -r; dr <= r; dr++) {
+            for (let dc = -r; dc <= r; dc++) {
+                if (Math.abs(dr) !== r && Math.abs(dc) !== r) continue;
+                const col = cell.col + dc;
+                const row = cell.row + dr;
+                const dist = dc * dc + dr * dr;
+                if (dist < bestDist && isCellWalkable(col, row, grid)) {
+                    best = { col, row };
+                    bestDist = dist;
+                }
+            }
+        }
+        if (best) return best;
+    }
+    return null;
+}
+
+// Walk the segment in half-cell steps; true if every sample is walkable
+function hasLineOfSight(from, to) {
+    const dx = to.x - from.x;
+    const dz = to.z - from.z;
+    const steps = Math.ceil(Math.sqrt(dx * dx + dz * dz) / (CONFIG.NAV.CELL_SIZE / 2));
+
+    for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        if (!isWalkableAt(from.x + dx * t, from.z + dz * t)) return false;
+    }
+    return true;
+}
+
+// Every cell a customer starting at `from` could walk to (same moves as findPath)
+function getReachableCells(grid, from) {
+    const reached = new Uint8Array(grid.walkable.length);
+    const start = findNearestWalkableCell(getCellAt(from.x, from.z), grid);
+    if (!start) return reached;
+
+    const stack = [start.row * grid.cols + start.col];
+    reached[stack[0]] = 1;
+
+    while (stack.length > 0) {
+        const idx = stack.pop();
+        const col = idx % grid.cols;
+        const row = Math.floor(idx / grid.cols);
+
+        NAV_DIRECTIONS.forEach(([dc, dr]) => {
+            const nCol = col + dc;
+            const nRow = row + dr;
+            if (!isCellWalkable(nCol, nRow, grid)) return;
+            if (dc !== 0 && dr !== 0 && (!isCellWalkable(col + dc, row, grid) || !isCellWalkable(col, row + dr, grid))) return;
+
+            const next = nRow * grid.cols + nCol;
+            if (reached[next]) return;
+            reached[next] = 1;
+            stack.push(next);
+        });
+    }
+
+    return reached;
+}
+
+function isPointReachable(grid, reached, point) {
+    const cell = findNearestWalkableCell(getCellAt(point.x, point.z), grid);
+    return cell !== null && reached[cell.row * grid.cols + cell.col] === 1;
+}
+
+// ============================================
+// A*
+// ============================================
+
+// Waypoints from `from` to `to` (the last one is `to` itself).
+// Falls back to a straight line if there is no route.
+function findPath(from, to) {
+    const startCell = findNearestWalkableCell(getCellAt(from.x, from.z));
+    const goalCell = findNearestWalkableCell(getCellAt(to.x, to.z));
+    const target = { x: to.x, z: to.z };
+    if (!startCell || !goalCell) return [target];
+
+    const { cols } = navGrid;
+    const start = startCell.row * cols + startCell.col;
+    const goal = goalCell.row * cols + goalCell.col;
+
+    const cost = new Float32Array(navGrid.walkable.length).fill(Infinity);
+    const cameFrom = new Int32Array(navGrid.walkable.length).fill(-1);
+    const closed = new Uint8Array(navGrid.walkable.length);
+    const open = [];
+
+    // Octile distance - exact on an 8-way grid without obstacles
+    const heuristic = (idx) => {
+        const dc = Math.abs(idx % cols - goalCell.col);
+        const dr = Math.abs(Math.floor(idx / cols) - goalCell.row);
+        return Math.max(dc, dr) + (Math.SQRT2 - 1) * Math.min(dc, dr);
+    };
+
+    cost[start] = 0;
+    heapPush(open, { idx: start, f: heuristic(start) });
+
+    while (open.length > 0) {
+        const { idx } = heapPop(open);
+        if (idx === goal) break;
+        if (closed[idx]) continue;
+        closed[idx] = 1;
+
+        const col = idx % cols;
+        const row = Math.floor(idx / cols);
+
+        NAV_DIRECTIONS.forEach(([dc, dr, stepCost]) => {
+            const nCol = col + dc;
+            const nRow = row + dr;
+            if (!isCellWalkable(nCol, nRow)) return;
+
+            // No cutting corners past an obstacle
+            if (dc !== 0 && dr !== 0 && (!isCellWalkable(col + dc, row) || !isCellWalkable(col, row + dr))) return;
+
+            const next = nRow * cols + nCol;
+            const nextCost = cost[idx] + stepCost;
+            if (closed[next] || nextCost >= cost[next]) return;
+
+            cost[next] = nextCost;
+            cameFrom[next] = idx;
+            heapPush(open, { idx: next, f: nextCost + heuristic(next) });
+        });
+    }
+
+    if (start !== goal && cameFrom[goal] === -1) return [target];
+
+    // Rebuild the cell chain, then pull it tight
+    const cells = [];
+    for (let idx = goal; idx !== -1; idx = cameFrom[idx]) {
+        cells.unshift(getCellCenter(idx % cols, Math.floor(idx / cols)));
+        if (idx === start) break;
+    }
+    cells[cells.length - 1] = target;
+
+    // Start inside an obstacle's margin - step out to the grid first
+    const origin = { x: from.x, z: from.z };
+    if (!isWalkableAt(from.x, from.z)) return smoothPath(cells[0], cells);
+
+    return smoothPath(origin, cells).slice(1);
+}
+
+// Skip every waypoint that can be reached directly from an earlier one
+function smoothPath(origin, points) {
+    const path = [origin];
+    let anchor = origin;
+    let i = 0;
+
+    while (i < points.length) {
+        let furthest = i;
+        for (let j = points.length - 1; j > i; j--) {
+            if (hasLineOfSight(anchor, points[j])) {
+                furthest = j;
+                break;
+            }
+        }
+        anchor = points[furthest];
+        path.push(anchor);
+        i = furthest + 1;
+    }
+
+    return path;
+}
+
+// Minimal binary heap keyed on f
+function heapPush(heap, node) {
+    heap.push(node);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent].f <= heap[i].f) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        while (true) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+            if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+// ============================================
+// STEERING
+// ============================================
+
+// Route a customer to a point; onArrive fires once they get there
+function walkTo(agent, target, { speed = CONFIG.NAV.WALK_SPEED, onArrive = null } = {}) {
+    agent.userData.nav = {
+        path: findPath(agent.position, target),
+        target: { x: target.x, z: target.z },
+        speed,
+        onArrive
+    };
+    if (!navAgents.includes(agent)) navAgents.push(agent);
+}
+
+function stopWalking(agent) {
+    agent.userData.nav = null;
+    const idx = navAgents.indexOf(agent);
+    if (idx > -1) navAgents.splice(idx, 1);
+}
+
+// The grid changed under them (layout editor) - everyone walking plans again
+function replanNavAgents() {
+    navAgents.forEach(agent => {
+        agent.userData.nav.path = findPath(agent.position, agent.userData.nav.target);
+    });
+}
+
+// Walkers are removed from the scene too - leaving diners aren't tracked anywhere else
+function clearNavAgents() {
+    navAgents.forEach(agent => {
+        agent.userData.nav = null;
+        scene.remove(agent);
+    });
+    navAgents = [];
+}
+
+function updateNavigation(delta) {
+    // Everyone on screen is an obstacle, walking or standing
+    const crowd = new Set([...navAgents, ...gameState.customers, ...gameState.diners]);
+
+    // Backwards, since arriving removes the agent
+    for (let i = navAgents.length - 1; i >= 0; i--) {
+        stepAgent(navAgents[i], crowd, delta);
+    }
+}
+
+function stepAgent(agent, crowd, delta) {
+    const nav = agent.userData.nav;
+    const waypoint = nav.path[0];
+
+    const dx = waypoint.x - agent.position.x;
+    const dz = waypoint.z - agent.position.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const step = nav.speed * delta;
+
+    if (dist <= step) {
+        agent.position.x = waypoint.x;
+        agent.position.z = waypoint.z;
+        nav.path.shift();
+
+        if (nav.path.length === 0) {
+            stopWalking(agent);
+            if (nav.onArrive) nav.onArrive();
+        }
+        return;
+    }
+
+    let vx = dx / dist;
+    let vz = dz / dist;
+
+    // Don't get nudged off the spot we're about to stand on
+    const finalApproach = nav.path.length === 1 && dist < CONFIG.NAV.AVOID_RADIUS;
+    if (!finalApproach) {
+        const avoid = getAvoidance(agent, crowd, vx, vz);
+        vx += avoid.x;
+        vz += avoid.z;
+
+        const len = Math.sqrt(vx * vx + vz * vz) || 1;
+        vx /= len;
+        vz /= len;
+    }
+
+    // The last leg may end inside an obstacle's margin (chairs, queue spots by the wall)
+    const canStep = (x, z) => nav.path.length === 1 || isWalkableAt(x, z) ||
+        !isWalkableAt(agent.position.x, agent.position.z);
+
+    if (!canStep(agent.position.x + vx * step, agent.position.z + vz * step)) {
+        // Avoidance pushed us into a wall - ignore it this frame
+        vx = dx / dist;
+        vz = dz / dist;
+    }
+
+    const nx = agent.position.x + vx * step;
+    const nz = agent.position.z + vz * step;
+
+    if (canStep(nx, nz)) {
+        agent.position.x = nx;
+        agent.position.z = nz;
+        agent.rotation.y = Math.atan2(vx, vz);
+    } else {
+        // Knocked off the route - plan again from here
+        nav.path = findPath(agent.position, nav.target);
+    }
+}
+
+// Separation from nearby customers, plus a sidestep to the right for anyone ahead
+function getAvoidance(agent, crowd, dirX, dirZ) {
+    const { AVOID_RADIUS, AVOID_STRENGTH } = CONFIG.NAV;
+    const force = { x: 0, z: 0 };
+
+    crowd.forEach(other => {
+        if (other === agent) return;
+
+        const ox = agent.position.x - other.position.x;
+        const oz = agent.position.z - other.position.z;
+        const dist = Math.sqrt(ox * ox + oz * oz);
+        if (dist >= AVOID_RADIUS || dist === 0) return;
+
+        const weight = (1 - dist / AVOID_RADIUS) * AVOID_STRENGTH;
+        force.x += (ox / dist) * weight;
+        force.z += (oz / dist) * weight;
+
+        // Other customer is in front of us
+        if (ox * dirX + oz * dirZ < 0) {
+            force.x += -dirZ * weight * 0.5;
+            force.z += dirX * weight * 0.5;
+        }
+    });
+
+    return force;
+}
@@ -79,6 +79,11 @@ function addStaticBox(x, y, z, w, h, d) {
     return body;
 }
 
+// Layout pieces take their colliders with them when moved or sold
+function removeStaticBox(body) {
+    physicsWorld.removeBody(body);
+}
+
 // ============================================
 // PHYSICS OBJECT CREATION
 // ============================================
@@ -92,6 +97,7 @@ function createPhysicsCup(mesh) {
     });
 
     body.position.copy(mesh.position);
+    body.quaternion.copy(mesh.quaternion);
     physicsWorld.addBody(body);
 
     physicsBodies.push(body);
@@ -123,7 +129,8 @@ function createPhysicsPastry(mesh) {
 // ============================================
 // THROWING PHYSICS
 // ============================================
-function throwObject(mesh, camera, throwForce = 8) {
+// Speed is in m/s, so light pastries and heavier cups fly the same
+function throwObject(mesh, camera, speed = 8) {
     const body = mesh.userData.physicsBody;
     if (!body) return;
 
@@ -135,20 +142,13 @@ function throwObject(mesh, camera, throwForce = 8) {
     direction.y += 0.3;
     direction.normalize();
 
-    // Apply impulse
-    const impulse = new CANNON.Vec3(
-        direction.x * throwForce,
-        direction.y * throwForce,
-        direction.z * throwForce
-    );
-
-    body.applyImpulse(impulse, body.position);
+    body.velocity.set(direction.x * speed, direction.y * speed, direction.z * speed);
 
-    // Add spin
+    // Add spin - it changes where things land, so it's a gameplay roll
     body.angularVelocity.set(
-        (Math.random() - 0.5) * 5,
-        (Math.random() - 0.5) * 5,
-        (Math.random() - 0.5) * 5
+        (random('physics') - 0.5) * 5,
+        (random('physics') - 0.5) * 5,
+        (random('physics') - 0.5) * 5
     );
 }
 
@@ -157,6 +157,8 @@ function dropObject(mesh) {
     if (!body) return;
 
     // Just enable physics, gravity does the rest
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
     body.wakeUp();
 }
 
@@ -166,8 +168,8 @@ function dropObject(mesh) {
 function updatePhysics(delta) {
     if (!physicsWorld) return;
 
-    // Step physics simulation
-    physicsWorld.step(1 / 60, delta, 3);
+    // Step physics simulation (called once per fixed sim tick)
+    physicsWorld.step(delta);
 
     // Sync meshes to physics bodies
     for (const body of physicsBodies) {
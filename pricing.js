@@ -0,0 +1,79 @@
+// ============================================
+// CaféVibe - Menu Pricing
+// Player-set prices and how customers react to them
+// ============================================
+
+// ============================================
+// DEMAND
+// ============================================
+
+// How much a price scares customers off (1 at base price, <1 above, >1 below)
+function getDemandFactor(itemId) {
+    const item = MENU_ITEMS.find(i => i.id === itemId);
+    const price = gameState.menuPrices[itemId] || item.basePrice;
+    return Math.pow(item.basePrice / price, CONFIG.PRICING.ELASTICITY);
+}
+
+// Pick from a list with probability proportional to weightFn(item)
+function pickWeighted(items, weightFn) {
+    const weights = items.map(weightFn);
+    const total = weights.reduce((sum, w) => sum + w, 0);
+
+    let roll = random('customers') * total;
+    for (let i = 0; i < items.length; i++) {
+        roll -= weights[i];
+        if (roll <= 0) return items[i];
+    }
+    return items[items.length - 1];
+}
+
+// Price paid vs. base price for an order (1 = fair)
+function getOrderPriceRatio(items) {
+    const paid = items.reduce((sum, item) => sum + (gameState.menuPrices[item.id] || item.basePrice), 0);
+    const base = items.reduce((sum, item) => sum + item.basePrice, 0);
+    return paid / base;
+}
+
+// How far an order goes over what customers consider fair (0 = not overpriced)
+function getOverpricing(items) {
+    return Math.max(0, getOrderPriceRatio(items) - CONFIG.PRICING.FAIR_MARKUP);
+}
+
+// ============================================
+// MENU BOARD
+// ============================================
+function setMenuPrice(itemId, price) {
+    const item = MENU_ITEMS.find(i => i.id === itemId);
+    const min = Math.max(1, Math.round(item.basePrice * CONFIG.PRICING.MIN_FACTOR));
+    const max = Math.round(item.basePrice * CONFIG.PRICING.MAX_FACTOR);
+
+    gameState.menuPrices[itemId] = Math.max(min, Math.min(max, price));
+    renderShop();
+}
+
+function adjustMenuPrice(itemId, step) {
+    setMenuPrice(itemId, gameState.menuPrices[itemId] + step);
+}
+
+function renderMenuBoard(grid) {
+    getMenuItems().forEach(item => {
+        const price = gameState.menuPrices[item.id];
+        const demand = Math.round(getDemandFactor(item.id) * 100);
+        const overpriced = price / item.basePrice > CONFIG.PRICING.FAIR_MARKUP;
+
+        const card = document.createElement('div');
+        card.className = 'shop-item menu-item' + (overpriced ? ' overpriced' : '');
+        card.innerHTML = `
+            <div class="shop-item-icon">${item.icon}</div>
+            <div class="shop-item-name">${item.name}${item.season ? ` ${SEASONS[item.season].icon}` : ''}</div>
+            <div class="shop-item-desc">Base $${item.basePrice} · Demand ${demand}%</div>
+            <div class="price-controls">
+                <button class="price-btn" onclick="uiAction('adjustMenuPrice', '${item.id}', -1)">−</button>
+                <span class="shop-item-price">$${price}</span>
+                <button class="price-btn" onclick="uiAction('adjustMenuPrice', '${item.id}', 1)">+</button>
+            </div>
+        `;
+
+        grid.appendChild(card);
+    });
+}
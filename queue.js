@@ -0,0 +1,68 @@
+// ============================================
+// CaféVibe - Queue
+// Line order, slot assignment and the overflow line outside
+// ============================================
+
+// gameState.queue holds waiting customers front to back.
+// The first QUEUE_POSITIONS.length are inside and order; the rest wait outside.
+
+function getQueueSlotPosition(index) {
+    if (index < QUEUE_POSITIONS.length) return QUEUE_POSITIONS[index];
+
+    const { OVERFLOW_START, OVERFLOW_SPACING } = CONFIG.QUEUE;
+    const overflowIndex = index - QUEUE_POSITIONS.length;
+    return { x: OVERFLOW_START.x, z: OVERFLOW_START.z + overflowIndex * OVERFLOW_SPACING };
+}
+
+function isQueueFull() {
+    return gameState.queue.length >= CONFIG.MAX_CUSTOMERS;
+}
+
+function joinQueue(customer) {
+    gameState.queue.push(customer);
+    customer.userData.queueSlot = null;
+    reflowQueue();
+}
+
+// Safe to call for customers that already left the line
+function leaveQueue(customer) {
+    const idx = gameState.queue.indexOf(customer);
+    if (idx === -1) return;
+
+    gameState.queue.splice(idx, 1);
+    customer.userData.queueSlot = null;
+    reflowQueue();
+}
+
+// Everyone whose place in line changed walks to their new slot
+function reflowQueue() {
+    gameState.queue.forEach((customer, index) => {
+        if (customer.userData.queueSlot === index) return;
+
+        customer.userData.queueSlot = index;
+        walkTo(customer, getQueueSlotPosition(index), {
+            onArrive: () => arriveAtQueueSlot(customer)
+        });
+    });
+}
+
+function arriveAtQueueSlot(customer) {
+    customer.rotation.y = Math.PI; // Face counter
+
+    // Still outside - wait for a spot to open up
+    if (customer.userData.queueSlot >= QUEUE_POSITIONS.length) {
+        customer.userData.state = 'queuing';
+        return;
+    }
+
+    // First time inside the line - place the order
+    if (!gameState.activeOrders.some(order => order.customer === customer)) {
+        customer.userData.state = 'waiting';
+
+        // Show order bubble with actual order text
+        updateOrderBubble(customer);
+
+        // Add to active orders
+        addOrder(customer);
+    }
+}
@@ -0,0 +1,89 @@
+// ============================================
+// CaféVibe - Random Numbers
+// Seeded RNG with independent named streams
+// ============================================
+
+// One stream per system, so e.g. extra cosmetic rolls never shift which customers turn up.
+// 'cosmetics' only changes how things look, never the simulation.
+// 'audio' is rolled per frame rather than per tick, so it must never feed gameplay.
+const RNG_STREAMS = ['world', 'customers', 'weather', 'minigames', 'physics', 'cosmetics', 'audio'];
+
+// The café is built at page load, before a run picks its seed
+const WORLD_SEED = 'CAFEVIBE';
+
+const rngState = {
+    seed: null,    // Seed string the run was started from
+    streams: {}    // Stream name -> mulberry32 state (uint32)
+};
+
+// Mulberry32 - tiny, fast and plenty for gameplay rolls
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6d2b79f5) >>> 0;
+        return mulberry32(a);
+    };
+}
+
+function mulberry32(a) {
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// FNV-1a - turns a seed string into a 32-bit stream state
+function hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Short, shareable seed like "K7Q2XD"
+function generateSeed() {
+    return Math.floor(Math.random() * 0x7fffffff).toString(36).toUpperCase().padStart(6, '0').slice(-6);
+}
+
+// Seeds are case-insensitive and ignore surrounding spaces
+function normalizeSeed(seed) {
+    return String(seed).trim().toUpperCase();
+}
+
+function seedRandom(seed) {
+    rngState.seed = normalizeSeed(seed);
+    rngState.streams = {};
+    RNG_STREAMS.forEach(name => {
+        rngState.streams[name] = hashSeed(rngState.seed + ':' + name);
+    });
+}
+
+function getSeed() {
+    return rngState.seed;
+}
+
+// Drop-in for Math.random() - every roll names the stream it draws from
+function random(stream) {
+    if (!(stream in rngState.streams)) {
+        throw new Error(`Unknown RNG stream: ${stream}`);
+    }
+    const next = (rngState.streams[stream] + 0x6d2b79f5) >>> 0;
+    rngState.streams[stream] = next;
+    return mulberry32(next);
+}
+
+// Plain data for saves - restoring carries on the exact same sequences
+function getRandomState() {
+    return { seed: rngState.seed, streams: { ...rngState.streams } };
+}
+
+function restoreRandomState(saved) {
+    seedRandom(saved.seed);
+    for (const [name, value] of Object.entries(saved.streams)) {
+        if (name in rngState.streams) rngState.streams[name] = value >>> 0;
+    }
+}
+
+seedRandom(WORLD_SEED);
@@ -0,0 +1,240 @@
+// ============================================
+// CaféVibe - Recipe Engine
+// Ordered steps, quantities and drink scoring
+// ============================================
+
+// Syrups, ice and anything else added a pump / scoop at a time
+const ADD_INS = Object.keys(INGREDIENTS).filter(id => INGREDIENTS[id].addIn);
+
+// ============================================
+// BUILDING DRINKS
+// ============================================
+
+// Fresh, empty drink state for a cup
+function createCupContents() {
+    const contents = { espresso: 0, milk: 0, foam: 'none' };
+    ADD_INS.forEach(id => { contents[id] = 0; });
+    return contents;
+}
+
+// The step a station adds to a cup, given what's already in it
+function createCupStep(cup, ingredient, quality) {
+    switch (ingredient) {
+        case 'espresso':
+            return { ingredient, shots: 1, quality };
+        case 'milk':
+            // First pass steams, a second pass on the same milk froths it
+            return cup.userData.contents.milk > 0
+                ? { ingredient, ml: 0, foam: 'high', quality }
+                : { ingredient, ml: CONFIG.RECIPE.MILK_POUR_ML, foam: 'low', quality };
+        default:
+            return { ingredient, pumps: 1, quality };
+    }
+}
+
+function addCupStep(cup, ingredient, quality) {
+    const step = createCupStep(cup, ingredient, quality);
+    cup.userData.steps.push(step);
+    cup.userData.contents = summarizeSteps(cup.userData.steps);
+    cup.userData.lastStepAt = gameState.elapsed;
+    return step;
+}
+
+// Totals per ingredient (shots, ml, pumps) plus the final foam level
+function summarizeSteps(steps) {
+    const totals = createCupContents();
+
+    steps.forEach(step => {
+        if (step.shots) totals[step.ingredient] += step.shots;
+        if (step.pumps) totals[step.ingredient] += step.pumps;
+        if (step.ingredient === 'milk') {
+            totals.milk += step.ml;
+            totals.foam = step.foam;
+        }
+    });
+
+    return totals;
+}
+
+// Ingredient sequence with repeats collapsed (espresso, espresso, milk -> espresso, milk)
+function getStepOrder(steps) {
+    return steps
+        .map(step => step.ingredient)
+        .filter((ingredient, i, list) => i === 0 || list[i - 1] !== ingredient);
+}
+
+// ============================================
+// QUALITY
+// ============================================
+
+// Weight of a step in the drink's quality (recipe override, else by ingredient kind)
+function getStepWeight(step, recipe) {
+    const recipeStep = recipe && recipe.steps.find(s => s.ingredient === step.ingredient);
+    if (recipeStep && recipeStep.weight) return recipeStep.weight;
+
+    const weights = CONFIG.QUALITY.STEP_WEIGHTS;
+    return weights[step.ingredient] || weights.syrup;
+}
+
+// Seconds-since-last-step penalty: drinks go cold / flat while they wait
+function getFreshnessPenalty(cup) {
+    if (cup.userData.lastStepAt === null) return 0;
+
+    const age = gameState.elapsed - cup.userData.lastStepAt;
+    return Math.max(0, age - CONFIG.QUALITY.DECAY_GRACE) * CONFIG.QUALITY.DECAY_PER_SECOND;
+}
+
+// Weighted average of every step's quality, minus freshness decay (0-100)
+function getCupQuality(cup, recipe = null) {
+    const steps = cup.userData.steps;
+    if (steps.length === 0) return 0;
+
+    let total = 0;
+    let weightSum = 0;
+    steps.forEach(step => {
+        const weight = getStepWeight(step, recipe);
+        total += step.quality * weight;
+        weightSum += weight;
+    });
+
+    const quality = total / weightSum - getFreshnessPenalty(cup);
+    return Math.round(Math.max(CONFIG.QUALITY.MIN, Math.min(100, quality)));
+}
+
+// ============================================
+// SCORING
+// ============================================
+
+// Compare a cup against a recipe.
+// Returns { accuracy: 0-100, exact, issues: [human readable], missing, extras }
+function scoreDrink(cup, recipe) {
+    const { PENALTY, MILK_TOLERANCE_ML } = CONFIG.RECIPE;
+    const contents = cup.userData.contents;
+    const issues = [];
+    const missing = [];
+    const extras = [];
+    let accuracy = 100;
+
+    // Required steps and their quantities
+    recipe.steps.forEach(step => {
+        const amount = contents[step.ingredient];
+
+        if (!amount) {
+            missing.push(step.ingredient);
+            issues.push(`Missing ${step.ingredient}`);
+            accuracy -= PENALTY.missing;
+            return;
+        }
+
+        if (step.shots && amount !== step.shots) {
+            issues.push(`${amount} shot${amount === 1 ? '' : 's'} instead of ${step.shots}`);
+            accuracy -= PENALTY.quantity;
+        }
+        if (step.pumps && amount !== step.pumps) {
+            issues.push(`${amount} pumps of ${step.ingredient} instead of ${step.pumps}`);
+            accuracy -= PENALTY.quantity;
+        }
+        if (step.ml && Math.abs(amount - step.ml) > MILK_TOLERANCE_ML) {
+            issues.push(amount > step.ml ? 'Too much milk' : 'Not enough milk');
+            accuracy -= PENALTY.quantity;
+        }
+        if (step.foam && contents.foam !== step.foam) {
+            issues.push(step.foam === 'high' ? 'Needs more foam' : 'Too much foam');
+            accuracy -= PENALTY.foam;
+        }
+    });
+
+    // Anything the recipe doesn't list is a forbidden extra
+    const allowed = recipe.steps.map(step => step.ingredient);
+    for (const [ingredient, amount] of Object.entries(contents)) {
+        if (ingredient === 'foam' || !amount || allowed.includes(ingredient)) continue;
+        extras.push(ingredient);
+        issues.push(`Shouldn't have ${ingredient}`);
+        accuracy -= PENALTY.extra;
+    }
+
+    // Steps done in the wrong order (only judged when nothing is missing)
+    if (missing.length === 0) {
+        const made = getStepOrder(cup.userData.steps).filter(i => allowed.includes(i));
+        if (made.join() !== allowed.join()) {
+            issues.push('Steps out of order');
+            accuracy -= PENALTY.order;
+        }
+    }
+
+    accuracy = Math.max(0, accuracy);
+    return { accuracy, exact: issues.length === 0, issues, missing, extras };
+}
+
+// Best-scoring drink on an order for this cup, or null if the order has no drinks
+function findBestDrinkMatch(cup, orderItems) {
+    let best = null;
+
+    orderItems.forEach((item, index) => {
+        const recipe = DRINK_RECIPES[item.id];
+        if (item.type !== 'drink' || !recipe) return;
+
+        const score = scoreDrink(cup, recipe);
+        if (!best || score.accuracy > best.score.accuracy) {
+            best = { item, index, score };
+        }
+    });
+
+    return best;
+}
+
+// Short label for what's in a cup ("Espresso + Milk (froth)")
+function describeCup(cup) {
+    const contents = cup.userData.contents;
+    const parts = [];
+
+    if (contents.espresso) parts.push(contents.espresso > 1 ? `Espresso ×${contents.espresso}` : 'Espresso');
+    if (contents.milk) parts.push(contents.foam === 'high' ? 'Milk (froth)' : 'Milk');
+    ADD_INS.forEach(addIn => {
+        if (contents[addIn]) parts.push(addIn.charAt(0).toUpperCase() + addIn.slice(1));
+    });
+
+    return parts.length > 0 ? parts.join(' + ') : 'Empty cup';
+}
+
+// ============================================
+// RECIPE PANEL
+// ============================================
+function describeRecipeStep(step) {
+    if (!step) return '-';
+    if (step.shots) return step.shots === 1 ? '1 shot' : `${step.shots} shots`;
+    if (step.ingredient === 'milk') return `${step.ml}ml ${step.foam === 'high' ? '+ froth' : 'steamed'}`;
+    const name = step.ingredient.charAt(0).toUpperCase() + step.ingredient.slice(1);
+    return step.pumps > 1 ? `${name} ×${step.pumps}` : name;
+}
+
+// What's on the menu right now - re-rendered when the season turns
+function renderRecipePanel() {
+    const table = document.getElementById('recipe-table');
+
+    const rows = getMenuItems().filter(item => DRINK_RECIPES[item.id]).map(item => {
+        const steps = DRINK_RECIPES[item.id].steps;
+        const espresso = steps.find(s => s.ingredient === 'espresso');
+        const milk = steps.find(s => s.ingredient === 'milk');
+        const addIns = steps.filter(s => ADD_INS.includes(s.ingredient));
+
+        return `
+            <tr${item.season ? ' class="seasonal"' : ''}>
+                <td>${item.icon} ${item.name}</td>
+                <td>${describeRecipeStep(espresso)}</td>
+                <td>${describeRecipeStep(milk)}</td>
+                <td>${addIns.length > 0 ? addIns.map(describeRecipeStep).join(', ') : '-'}</td>
+            </tr>
+        `;
+    });
+
+    table.innerHTML = `
+        <tr>
+            <th>Drink</th>
+            <th>Espresso</th>
+            <th>Milk</th>
+            <th>Extras</th>
+        </tr>
+        ${rows.join('')}
+    `;
+}
@@ -0,0 +1,321 @@
+// ============================================
+// CaféVibe - Input Replays
+// Records a run's input by sim tick and plays it back through the same handlers
+// ============================================
+
+// Live input is queued and handled at the start of the next tick rather than
+// straight away, so a replay can hand it over at exactly the same point.
+let pendingInputs = [];
+
+const replayState = {
+    mode: 'off',       // 'off' | 'recording' | 'playing'
+    recording: null,   // { version, seed, mode, controls, start, endTick, events: [] }
+    cursor: 0,         // Next event to play back
+    startedAt: 0,      // performance.now() when recording began
+    checking: false    // checkReplay is driving the clock instead of the render loop
+};
+
+// Menu buttons that change the run. They go through uiAction() so they are recorded too.
+const REPLAY_ACTIONS = {
+    resumeGame: () => resumeGame(),
+    openShop: () => openShop(),
+    closeShop: () => closeShop(),
+    startNextDay: () => startNextDay(),
+    cancelMiniGame: () => cancelMiniGame(),
+    buyUpgrade: (id) => buyUpgrade(UPGRADES.find(u => u.id === id)),
+    orderSupply: (id) => orderSupply(SUPPLIES.find(s => s.id === id)),
+    adjustMenuPrice: (id, step) => adjustMenuPrice(id, step),
+    buyFurniture: (kind, x, z, turns) => buyFurniture(kind, x, z, turns),
+    moveFurniture: (id, x, z, turns) => moveFurniture(id, x, z, turns),
+    sellFurniture: (id) => sellFurniture(id)
+};
+
+function isReplaying() {
+    return replayState.mode === 'playing';
+}
+
+// ============================================
+// LIVE INPUT
+// ============================================
+
+function queueLiveInput(entry) {
+    if (isReplaying()) {
+        // The player can take over at any point (except mid-check); everything else is ignored
+        const takeOver = (entry.type === 'keydown' && entry.code === 'Escape') ||
+            (entry.type === 'padbutton' && entry.action === 'pause' && entry.pressed) ||
+            (entry.type === 'trigger' && entry.action === 'pause' && entry.pressed);
+        if (takeOver && !replayState.checking) stopReplay('Replay stopped');
+        return;
+    }
+
+    entry.t = Math.round(performance.now() - replayState.startedAt);
+    pendingInputs.push(entry);
+}
+
+function onLiveKeyDown(event) {
+    setInputDevice('keyboard');
+
+    // The browser acts on bound keys (Tab, Space...) before the queue is handled
+    if (gameState.isPlaying && getBoundAction(event.code)) event.preventDefault();
+    queueLiveInput({ type: 'keydown', code: event.code });
+}
+
+function onLiveKeyUp(event) {
+    queueLiveInput({ type: 'keyup', code: event.code });
+}
+
+function onLiveMouseMove(event) {
+    setInputDevice('keyboard');
+    queueLiveInput({ type: 'mousemove', dx: event.movementX || 0, dy: event.movementY || 0 });
+}
+
+function uiAction(name, ...args) {
+    queueLiveInput({ type: 'action', name, args });
+}
+
+// ============================================
+// DISPATCH
+// ============================================
+
+// Runs first every tick, and every frame while the clock is stopped (paused, menus)
+function flushInputs() {
+    if (isReplaying()) {
+        feedReplay();
+        return;
+    }
+
+    const inputs = pendingInputs;
+    pendingInputs = [];
+    inputs.forEach(entry => {
+        if (replayState.mode === 'recording') recordInput(entry);
+        dispatchInput(entry);
+    });
+}
+
+function dispatchInput(entry) {
+    switch (entry.type) {
+        case 'keydown': onKeyDown({ code: entry.code }); break;
+        case 'keyup': onKeyUp({ code: entry.code }); break;
+        case 'mousemove': onMouseMove({ movementX: entry.dx, movementY: entry.dy }); break;
+        case 'padaxes': onPadAxes(entry); break;
+        case 'padbutton': onPadButton(entry); break;
+        case 'touchstick': onTouchStick(entry); break;
+        case 'trigger':
+            if (!gameState.isPlaying) break;
+            if (entry.pressed !== false) triggerAction(entry.action);
+            else releaseAction(entry.action);
+            break;
+        case 'action': REPLAY_ACTIONS[entry.name](...entry.args); break;
+    }
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+// Called once a run is set up - `start` is the saved state it begins from
+function startRecording(start) {
+    replayState.mode = 'recording';
+    replayState.recording = {
+        version: CONFIG.REPLAY.VERSION,
+        seed: getSeed(),
+        mode: start.mode,
+        controls: getControlSettings(),
+        start,
+        endTick: 0,
+        events: []
+    };
+    replayState.startedAt = performance.now();
+    pendingInputs = [];
+}
+
+function recordInput(entry) {
+    const events = replayState.recording.events;
+    if (events.length >= CONFIG.REPLAY.MAX_EVENTS) {
+        replayState.mode = 'off';
+        showNotification('Recording stopped', 'Replay is full - export it from the pause menu');
+        return;
+    }
+    events.push({ tick: simClock.tick, ...entry });
+}
+
+// Download everything recorded so far as a .json file
+function exportReplay() {
+    const recording = replayState.recording;
+    if (!recording) {
+        showNotification('Nothing recorded', '');
+        return;
+    }
+
+    recording.endTick = simClock.tick;
+    recording.looseItems = getLooseItemSnapshot();
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cafevibe-replay-${recording.seed}-${recording.endTick}.json`;
+    link.click();
+
+    // Revoking straight away cancels the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    showNotification('Replay exported', `${recording.events.length} inputs`);
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+// From the main menu's file pickers - watch it, or check it still plays out the same
+function loadReplayFile(input, check = false) {
+    const file = input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let recording;
+        try {
+            recording = JSON.parse(reader.result);
+        } catch (err) {
+            showNotification('Not a replay', file.name);
+            return;
+        }
+        if (check) {
+            checkReplay(recording);
+        } else {
+            playReplay(recording);
+        }
+    };
+    reader.readAsText(file);
+}
+
+function playReplay(recording) {
+    if (!recording || recording.version !== CONFIG.REPLAY.VERSION || !Array.isArray(recording.events)) {
+        showNotification('Unsupported replay', '');
+        return;
+    }
+
+    // Same starting state, RNG streams included
+    startGame(recording.mode, recording.start);
+
+    replayState.mode = 'playing';
+    replayState.recording = recording;
+    replayState.cursor = 0;
+    pendingInputs = [];
+
+    // Keys mean what they meant to whoever recorded it (older replays had the defaults)
+    setControlsOverride(recording.controls || DEFAULT_SETTINGS);
+
+    document.getElementById('replay-badge').style.display = 'block';
+    showNotification('Replaying', `Seed ${recording.seed} · ESC to take over`);
+}
+
+// Hand over every event recorded at or before the current tick
+function feedReplay() {
+    const { events, endTick } = replayState.recording;
+
+    while (replayState.cursor < events.length && events[replayState.cursor].tick <= simClock.tick) {
+        dispatchInput(events[replayState.cursor]);
+        replayState.cursor++;
+        if (!isReplaying()) return;
+    }
+
+    if (replayState.cursor >= events.length && simClock.tick >= endTick) {
+        stopReplay('Replay finished');
+    }
+}
+
+// ============================================
+// CHECKING
+// ============================================
+
+// Where every dropped / thrown item lies, rounded so it survives the JSON round trip
+function getLooseItemSnapshot() {
+    return physicsState.looseItems.map(item => getSimPosition(item).toArray().map(v => Number(v.toFixed(4))));
+}
+
+function isCheckingReplay() {
+    return replayState.checking;
+}
+
+// Run a recording to its end without rendering, then compare where the loose
+// items ended up against where they were when it was exported. Ticks run in
+// short batches between frames so the tab stays responsive.
+// Resolves to { match, expected, actual }, or null if it can't be played.
+function checkReplay(recording) {
+    if (!recording || !Array.isArray(recording.looseItems)) {
+        showNotification('Can\'t check this replay', 'It was exported before checks were added');
+        return Promise.resolve(null);
+    }
+
+    playReplay(recording);
+    if (!isReplaying()) return Promise.resolve(null);
+
+    replayState.checking = true;
+    const badge = document.getElementById('replay-badge');
+    const label = badge.textContent;
+    const endTick = Math.max(1, recording.endTick);
+
+    return new Promise(resolve => {
+        const runBatch = () => {
+            const batchEnd = performance.now() + CONFIG.REPLAY.CHECK_BATCH_MS;
+            while (isReplaying() && performance.now() < batchEnd) {
+                stepReplayCheck();
+            }
+
+            if (isReplaying()) {
+                const percent = Math.min(99, Math.floor(simClock.tick / endTick * 100));
+                badge.textContent = `🔍 Checking replay · ${percent}%`;
+                setTimeout(runBatch, 0);
+                return;
+            }
+
+            replayState.checking = false;
+            badge.textContent = label;
+            resolve(finishReplayCheck(recording));
+        };
+        runBatch();
+    });
+}
+
+// One tick - or, while a menu is open in the recording, its inputs without one, like live play
+function stepReplayCheck() {
+    if (gameState.isPlaying && !gameState.isPaused) {
+        runSimTicks(1);
+        return;
+    }
+
+    const cursor = replayState.cursor;
+    flushInputs();
+    if (isReplaying() && replayState.cursor === cursor) stopReplay(null);
+}
+
+function finishReplayCheck(recording) {
+    const expected = recording.looseItems;
+    const actual = getLooseItemSnapshot();
+    const match = JSON.stringify(expected) === JSON.stringify(actual);
+
+    if (match) {
+        showNotification('Replay matches', `${actual.length} loose items in the same places`);
+    } else {
+        showNotification('Replay diverged', `Loose items don't match the recording`);
+    }
+    return { match, expected, actual };
+}
+
+// Back to live play from wherever the replay got to
+function stopReplay(message) {
+    replayState.mode = 'off';
+    replayState.recording = null;
+    pendingInputs = [];
+    document.getElementById('replay-badge').style.display = 'none';
+    setControlsOverride(null);
+
+    // Keys and sticks held in the recording would otherwise stay down
+    moveForward = moveBackward = moveLeft = moveRight = false;
+    resetPadInput();
+    resetTouchInput();
+
+    if (message) showNotification(message, 'You have control');
+}
@@ -0,0 +1,185 @@
+// ============================================
+// CaféVibe - Game Rules
+// Economy, customers and upgrades - no scene, no DOM.
+// Shared by game.js and the headless simulator (tools/simulate.js).
+// ============================================
+
+function initMenuPrices() {
+    MENU_ITEMS.forEach(item => {
+        gameState.menuPrices[item.id] = item.basePrice;
+    });
+}
+
+// ============================================
+// CUSTOMERS
+// ============================================
+function pickCustomerType() {
+    const types = Object.keys(CUSTOMER_TYPES);
+    return types[Math.floor(random('customers') * types.length)];
+}
+
+function generateOrder() {
+    const items = [];
+
+    // Drink - cheaper items get picked more often, milky ones when it's cold out, seasonal ones in season
+    const drinks = getMenuItems().filter(i => i.type === 'drink');
+    const drink = pickWeighted(drinks, item =>
+        getDemandFactor(item.id) * getWeatherDemand(item.id) * getSeasonDemand(item.id));
+    items.push(drink);
+
+    // Sometimes add pastry (less often when pastries are overpriced)
+    const pastries = getMenuItems().filter(i => i.type === 'pastry');
+    const pastryDemand = pastries.reduce((sum, p) => sum + getDemandFactor(p.id), 0) / pastries.length;
+    if (random('customers') < Math.min(0.6, 0.3 * pastryDemand)) {
+        const pastry = pickWeighted(pastries, item => getDemandFactor(item.id));
+        items.push(pastry);
+    }
+
+    return items;
+}
+
+function getCustomerPatience(customerType) {
+    const base = CONFIG.CUSTOMER_PATIENCE[gameState.mode] || 90;
+    const typeData = CUSTOMER_TYPES[customerType];
+    return base * (typeData ? typeData.patience : 1);
+}
+
+// Seconds until the next customer - busier around rush hours
+function getSpawnInterval() {
+    const baseInterval = (CONFIG.CUSTOMER_SPAWN_INTERVAL[gameState.mode] || 6000) / 1000;
+    return baseInterval / getRushMultiplier(gameState.dayTime);
+}
+
+// ============================================
+// SETTLING ORDERS
+// ============================================
+
+// What a finished order is worth. quality and accuracy are 0-100 averages over its items.
+// Returns { payment, tip, tier: 'good' | 'ok' | 'bad', overpricing, ratingChange }
+function settleOrder(items, customerType, quality, accuracy) {
+    const payment = items.reduce((sum, item) => sum + (gameState.menuPrices[item.id] || 4), 0);
+
+    // Quality bonus/penalty
+    const typeData = CUSTOMER_TYPES[customerType];
+    const tier = quality >= 80 ? 'good' : quality >= 50 ? 'ok' : 'bad';
+    let tipMultiplier = { good: 1.3, ok: 1.1, bad: 0.8 }[tier];
+
+    tipMultiplier *= getModifier('tipMultiplier') * (typeData ? typeData.tipBonus : 1);
+
+    // Overpriced orders get smaller tips
+    const overpricing = getOverpricing(items);
+    tipMultiplier *= Math.max(0, 1 - overpricing * CONFIG.PRICING.TIP_SENSITIVITY);
+
+    // Partial credit for drinks that are close but not exact
+    tipMultiplier *= accuracy / 100;
+
+    const tip = Math.floor(payment * 0.2 * tipMultiplier);
+
+    // Satisfaction boosts rating gains and cushions losses
+    const satisfaction = getModifier('satisfactionMultiplier');
+    let ratingChange = { good: 0.1, ok: 0, bad: -0.1 }[tier];
+    ratingChange -= overpricing * CONFIG.PRICING.RATING_SENSITIVITY;
+    ratingChange -= (100 - accuracy) / 100 * CONFIG.RECIPE.RATING_WEIGHT;
+    ratingChange = ratingChange > 0 ? ratingChange * satisfaction : ratingChange / satisfaction;
+
+    return { payment, tip, tier, overpricing, ratingChange };
+}
+
+// Book a settled order into money, stats and rating
+function applySettlement(settlement, items, customerType, quality) {
+    const typeData = CUSTOMER_TYPES[customerType];
+
+    recordTransaction('sale', settlement.payment, items.map(item => item.name).join(', '));
+    if (settlement.tip > 0) recordTransaction('tip', settlement.tip, typeData ? typeData.name : 'Tip');
+    gameState.customersServed++;
+
+    gameState.dayStats.revenue += settlement.payment;
+    gameState.dayStats.tips += settlement.tip;
+    gameState.dayStats.served++;
+    gameState.dayStats.qualityTotal += quality;
+
+    gameState.rating = Math.max(1, Math.min(5, gameState.rating + settlement.ratingChange));
+}
+
+function recordWalkOut(customerType, items, waited) {
+    gameState.rating = Math.max(1, gameState.rating - CONFIG.WALKOUT_RATING_PENALTY);
+    gameState.walkOuts.push({
+        customerType: customerType,
+        items: items.map(item => item.id),
+        waited: waited,
+        time: Date.now()
+    });
+    gameState.dayStats.walkOuts++;
+}
+
+// ============================================
+// LEDGER
+// ============================================
+
+// Every change to money goes through here (callers refresh the HUD)
+function recordTransaction(category, amount, label) {
+    gameState.money += amount;
+
+    gameState.ledger.push({
+        day: gameState.day,
+        time: gameState.dayTime,
+        category: category,
+        amount: amount,
+        label: label
+    });
+    if (gameState.ledger.length > CONFIG.LEDGER_SIZE) gameState.ledger.shift();
+
+    if (amount < 0) gameState.dayStats.expenses -= amount;
+}
+
+// ============================================
+// UPGRADES & MODIFIERS
+// ============================================
+
+// Returns false if the upgrade can't be afforded
+function purchaseUpgrade(upgrade) {
+    if (gameState.money < upgrade.price) return false;
+
+    recordTransaction('upgrade', -upgrade.price, upgrade.name);
+    gameState.ownedUpgrades.push(upgrade.id);
+    recomputeModifiers();
+    return true;
+}
+
+// Rebuild gameState.modifiers from scratch out of every owned upgrade's effects
+function recomputeModifiers() {
+    const modifiers = {};
+    for (const [stat, def] of Object.entries(MODIFIERS)) {
+        modifiers[stat] = def.base;
+    }
+
+    gameState.ownedUpgrades.forEach(id => {
+        const upgrade = UPGRADES.find(u => u.id === id);
+        if (!upgrade || !upgrade.effects) return;
+
+        upgrade.effects.forEach(effect => {
+            const def = MODIFIERS[effect.stat];
+            if (!def) {
+                console.warn(`Unknown modifier: ${effect.stat}`);
+                return;
+            }
+            modifiers[effect.stat] = stackModifier(def.stack, modifiers[effect.stat], effect.value);
+        });
+    });
+
+    gameState.modifiers = modifiers;
+}
+
+function stackModifier(rule, current, value) {
+    switch (rule) {
+        case 'add': return current + value;
+        case 'max': return Math.max(current, value);
+        case 'multiply':
+        default: return current * value;
+    }
+}
+
+function getModifier(stat) {
+    if (stat in gameState.modifiers) return gameState.modifiers[stat];
+    return MODIFIERS[stat] ? MODIFIERS[stat].base : 1;
+}
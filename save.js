@@ -0,0 +1,253 @@
+// ============================================
+// CaféVibe - Save System
+// Versioned café runs in localStorage
+// ============================================
+
+const SAVE_KEY = 'cafevibe.save';
+const SAVE_VERSION = 6;
+
+// Each entry upgrades a blob FROM that version to the next one.
+// Never edit an existing step - add a new one and bump SAVE_VERSION.
+// Saves started at v1, so there is nothing before it to upgrade.
+const SAVE_MIGRATIONS = {
+    // v1 -> v2: day cycle - older runs start at the beginning of day 1
+    1: (data) => ({
+        ...data,
+        day: 1,
+        dayTime: CONFIG.DAY.OPEN_HOUR,
+        dayStats: null
+    }),
+    // v2 -> v3: inventory - older runs get a fresh starting stock
+    2: (data) => ({
+        ...data,
+        inventory: null,
+        pendingDeliveries: [],
+        ledger: [],
+        dayStats: data.dayStats ? { ...data.dayStats, expenses: 0 } : null
+    }),
+    // v3 -> v4: seeded RNG - older runs were unseeded, so they carry on from a new seed
+    3: (data) => ({
+        ...data,
+        rng: { seed: generateSeed(), streams: {} }
+    }),
+    // v4 -> v5: weather - older runs were always clear
+    4: (data) => ({
+        ...data,
+        weather: 'clear'
+    }),
+    // v5 -> v6: layout editor - older runs get the default layout
+    5: (data) => ({
+        ...data,
+        layout: null
+    })
+};
+
+let autosaveTimer = null;
+
+// ============================================
+// SERIALIZE / APPLY
+// ============================================
+
+// Plain-data snapshot of the run (no Three.js objects, no live customers)
+function serializeRun() {
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        mode: gameState.mode,
+        money: gameState.money,
+        rating: gameState.rating,
+        customersServed: gameState.customersServed,
+        walkOuts: gameState.walkOuts.slice(),
+        day: gameState.day,
+        dayTime: gameState.dayTime,
+        dayStats: { ...gameState.dayStats },
+        weather: gameState.weather,
+        inventory: { ...gameState.inventory },
+        pendingDeliveries: gameState.pendingDeliveries.map(d => ({ ...d })),
+        ledger: gameState.ledger.slice(),
+        ownedUpgrades: gameState.ownedUpgrades.slice(),
+        menuPrices: { ...gameState.menuPrices },
+        layout: gameState.layout.map(piece => ({ ...piece })),
+        rng: getRandomState(),
+        // Volume lives with the player's settings (settings.js), not the run
+        settings: {
+            musicTrack: getActiveMusicTrack()
+        }
+    };
+}
+
+function applySave(data) {
+    gameState.mode = data.mode;
+    gameState.money = data.money;
+    gameState.rating = data.rating;
+    gameState.customersServed = data.customersServed;
+    gameState.walkOuts = data.walkOuts;
+
+    // Resume mid-shift (a closing-time save ends the day straight away)
+    gameState.day = data.day;
+    gameState.dayTime = data.dayTime;
+    gameState.dayStats = data.dayStats || createDayStats();
+    gameState.weather = data.weather in WEATHER ? data.weather : 'clear';
+
+    // Stock for ingredients the save doesn't know about stays at starting level
+    initInventory();
+    if (data.inventory) {
+        for (const [id, amount] of Object.entries(data.inventory)) {
+            if (id in gameState.inventory) gameState.inventory[id] = amount;
+        }
+    }
+    gameState.pendingDeliveries = data.pendingDeliveries.filter(d => d.ingredient in INGREDIENTS);
+    gameState.ledger = data.ledger;
+
+    // Drop upgrades that no longer exist
+    gameState.ownedUpgrades = data.ownedUpgrades.filter(id => UPGRADES.some(u => u.id === id));
+    recomputeModifiers();
+
+    // Merge over base prices so newly added menu items still get one
+    initMenuPrices();
+    for (const [id, price] of Object.entries(data.menuPrices)) {
+        if (id in gameState.menuPrices) gameState.menuPrices[id] = price;
+    }
+
+    // Pieces that no longer exist are dropped - startGame rebuilds the scene from this
+    gameState.layout = data.layout
+        ? data.layout.filter(piece => piece.kind in FURNITURE)
+        : createDefaultLayout();
+
+    // Pick the streams up where the run left off
+    restoreRandomState(data.rng);
+
+    applySaveSettings(data.settings);
+}
+
+function applySaveSettings(settings) {
+    if (settings.musicTrack !== undefined) {
+        setMusicTrack(settings.musicTrack);
+    }
+}
+
+// Track index, or 'auto'
+function getActiveMusicTrack() {
+    return musicState.choice;
+}
+
+// ============================================
+// STORAGE
+// ============================================
+function saveRun() {
+    if (!gameState.isPlaying) return false;
+
+    // Watching someone else's replay mustn't overwrite your own run
+    if (isReplaying()) return false;
+
+    try {
+        localStorage.setItem(SAVE_KEY, JSON.stringify(serializeRun()));
+        return true;
+    } catch (e) {
+        // Private mode or quota exceeded - the game keeps running without saves
+        console.warn('Could not save run:', e);
+        return false;
+    }
+}
+
+// Returns a save migrated to SAVE_VERSION, or null if there is none / it is unusable
+function loadSave() {
+    let data;
+    try {
+        const raw = localStorage.getItem(SAVE_KEY);
+        if (!raw) return null;
+        data = JSON.parse(raw);
+    } catch (e) {
+        console.warn('Corrupt save ignored:', e);
+        return null;
+    }
+
+    if (!data || typeof data !== 'object') return null;
+
+    // Every save this game wrote has a version - anything else isn't ours
+    if (typeof data.version !== 'number') {
+        console.warn('Save has no version, ignoring');
+        return null;
+    }
+
+    let version = data.version;
+    if (version > SAVE_VERSION) {
+        console.warn(`Save is from a newer version (${version}), ignoring`);
+        return null;
+    }
+
+    while (version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[version];
+        if (!migrate) {
+            console.warn(`No migration from save version ${version}`);
+            return null;
+        }
+        data = migrate(data);
+        version++;
+    }
+    data.version = SAVE_VERSION;
+
+    if (!CONFIG.CUSTOMER_SPAWN_INTERVAL[data.mode] || typeof data.money !== 'number') {
+        console.warn('Save is missing required fields, ignoring');
+        return null;
+    }
+
+    return data;
+}
+
+function hasSave() {
+    return loadSave() !== null;
+}
+
+function clearSave() {
+    try {
+        localStorage.removeItem(SAVE_KEY);
+    } catch (e) {
+        console.warn('Could not clear save:', e);
+    }
+}
+
+// ============================================
+// AUTOSAVE
+// ============================================
+function startAutosave() {
+    stopAutosave();
+    autosaveTimer = setInterval(() => {
+        if (gameState.isPlaying && !gameState.isPaused) saveRun();
+    }, CONFIG.AUTOSAVE_INTERVAL);
+}
+
+function stopAutosave() {
+    if (autosaveTimer) clearInterval(autosaveTimer);
+    autosaveTimer = null;
+}
+
+// ============================================
+// MENU
+// ============================================
+function updateContinueButton() {
+    const btn = document.getElementById('continue-btn');
+    if (!btn) return;
+
+    const data = loadSave();
+    if (!data) {
+        btn.style.display = 'none';
+        return;
+    }
+
+    const modeName = data.mode === 'cozy' ? 'Cozy' : 'Competitive';
+    btn.querySelector('.mode-description').textContent =
+        `${modeName} · Day ${data.day} · $${data.money} · ⭐ ${data.rating.toFixed(1)}`;
+    btn.style.display = 'block';
+}
+
+function continueGame() {
+    const data = loadSave();
+    if (!data) {
+        showNotification('No save found', '');
+        updateContinueButton();
+        return;
+    }
+
+    startGame(data.mode, data);
+}
@@ -0,0 +1,229 @@
+// ============================================
+// CaféVibe - Patio Seating
+// Dine-in customers, seat reservations and dirty cups
+// ============================================
+
+// One entry per table in the layout: { id, x, z, turns, seats: [{ x, z, facing, occupant }], dirtyCups: [] }
+let patioTables = [];
+
+function initSeating() {
+    clearSeating();
+    syncPatioTables();
+}
+
+// Follow the layout - tables that didn't move keep their seats and dirty cups
+function syncPatioTables() {
+    const previous = patioTables;
+
+    patioTables = gameState.layout.filter(piece => FURNITURE[piece.kind].seats).map(piece => {
+        const kept = previous.find(t => t.id === piece.id && t.x === piece.x && t.z === piece.z && t.turns === piece.turns);
+        if (kept) return kept;
+
+        return {
+            id: piece.id,
+            x: piece.x,
+            z: piece.z,
+            turns: piece.turns,
+            seats: getTableSeats(piece).map(seat => ({ ...seat, occupant: null })),
+            dirtyCups: []
+        };
+    });
+}
+
+// Chairs sit either side of the table, facing it, turned with the table
+function getTableSeats(piece) {
+    const angle = piece.turns * Math.PI / 2;
+    const cos = Math.round(Math.cos(angle));
+    const sin = Math.round(Math.sin(angle));
+
+    return [-1, 1].map(side => ({
+        x: piece.x + side * PATIO_CHAIR_OFFSET * cos,
+        z: piece.z - side * PATIO_CHAIR_OFFSET * sin,
+        facing: (side < 0 ? Math.PI / 2 : -Math.PI / 2) + angle
+    }));
+}
+
+function hasDirtyCups(tableId) {
+    const table = patioTables.find(t => t.id === tableId);
+    return !!table && table.dirtyCups.length > 0;
+}
+
+// Remove diners and dirty cups from the scene (quitting, new run)
+function clearSeating() {
+    gameState.diners.forEach(customer => {
+        scene.remove(customer);
+        const idx = interactableObjects.indexOf(customer);
+        if (idx > -1) interactableObjects.splice(idx, 1);
+    });
+    gameState.diners = [];
+
+    patioTables.forEach(table => {
+        table.dirtyCups.forEach(cup => {
+            scene.remove(cup);
+            const idx = interactableObjects.indexOf(cup);
+            if (idx > -1) interactableObjects.splice(idx, 1);
+        });
+    });
+    patioTables = [];
+}
+
+// ============================================
+// RESERVATIONS
+// ============================================
+
+// A table can only be sat at once its dirty cups have been bussed
+function getFreeSeats() {
+    const free = [];
+    patioTables.forEach(table => {
+        if (table.dirtyCups.length > 0) return;
+        table.seats.forEach(seat => {
+            if (!seat.occupant) free.push({ table, seat });
+        });
+    });
+    return free;
+}
+
+function reserveSeat(customer) {
+    const free = getFreeSeats();
+    if (free.length === 0) return null;
+
+    const choice = free[Math.floor(random('customers') * free.length)];
+    choice.seat.occupant = customer;
+    customer.userData.table = choice.table;
+    customer.userData.seat = choice.seat;
+    return choice;
+}
+
+function releaseSeat(customer) {
+    const seat = customer.userData.seat;
+    if (seat && seat.occupant === customer) seat.occupant = null;
+
+    customer.userData.seat = null;
+    customer.userData.table = null;
+}
+
+// ============================================
+// DINE-IN
+// ============================================
+
+// After being served, maybe sit down instead of leaving. Returns true if seated.
+function trySeatCustomer(customer, items) {
+    const typeData = CUSTOMER_TYPES[customer.userData.customerType];
+    // Fewer people want the patio when it's grey or raining
+    if (!typeData || random('customers') >= typeData.dineIn * getWeather().dineIn) return false;
+    if (!reserveSeat(customer)) return false;
+
+    const { DINE_TIME_MIN, DINE_TIME_MAX } = CONFIG.SEATING;
+    customer.userData.state = 'seating';
+    customer.userData.dineTimeLeft = DINE_TIME_MIN + random('customers') * (DINE_TIME_MAX - DINE_TIME_MIN);
+    customer.userData.consumed = items;
+
+    // Out of the queue - diners are tracked separately so they don't hold a queue slot
+    leaveQueue(customer);
+    const idx = gameState.customers.indexOf(customer);
+    if (idx > -1) gameState.customers.splice(idx, 1);
+    const objIdx = interactableObjects.indexOf(customer);
+    if (objIdx > -1) interactableObjects.splice(objIdx, 1);
+    gameState.diners.push(customer);
+
+    const bubble = customer.getObjectByName('orderBubble');
+    if (bubble) bubble.visible = false;
+
+    animateCustomerToSeat(customer);
+    return true;
+}
+
+function animateCustomerToSeat(customer) {
+    const seat = customer.userData.seat;
+
+    walkTo(customer, seat, {
+        onArrive: () => {
+            customer.rotation.y = seat.facing;
+            customer.userData.state = 'seated';
+        }
+    });
+}
+
+// Tick meals (backwards, since finishing splices the list)
+function updateDiners(delta) {
+    for (let i = gameState.diners.length - 1; i >= 0; i--) {
+        const customer = gameState.diners[i];
+        if (customer.userData.state !== 'seated') continue;
+
+        customer.userData.dineTimeLeft -= delta;
+        if (customer.userData.dineTimeLeft <= 0) {
+            finishDining(i);
+        }
+    }
+}
+
+function finishDining(dinerIndex) {
+    const customer = gameState.diners[dinerIndex];
+    const table = customer.userData.table;
+    const seat = customer.userData.seat;
+
+    // One dirty cup per drink, on the diner's side of the table
+    const drinks = customer.userData.consumed.filter(item => item.type === 'drink');
+    const toSeat = { x: Math.sign(seat.x - table.x), z: Math.sign(seat.z - table.z) };
+    drinks.forEach((item, i) => {
+        const spread = (i - (drinks.length - 1) / 2) * 0.14;
+        const cup = createDirtyCup(table);
+        cup.position.set(
+            table.x + toSeat.x * 0.22 + Math.abs(toSeat.z) * spread,
+            0.74,
+            table.z + toSeat.z * 0.22 + Math.abs(toSeat.x) * spread
+        );
+        scene.add(cup);
+        interactableObjects.push(cup);
+        table.dirtyCups.push(cup);
+    });
+
+    releaseSeat(customer);
+    gameState.diners.splice(dinerIndex, 1);
+
+    animateCustomerLeave(customer);
+}
+
+// ============================================
+// BUSSING
+// ============================================
+function createDirtyCup(table) {
+    const cupGroup = new THREE.Group();
+
+    const body = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.06, 0.05, 0.12, 12),
+        new THREE.MeshStandardMaterial({ color: 0xd8cfbd })
+    );
+    body.position.y = 0.06;
+    cupGroup.add(body);
+
+    // Coffee ring left at the bottom
+    const dregs = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.045, 0.045, 0.01, 12),
+        new THREE.MeshStandardMaterial({ color: 0x3d2817 })
+    );
+    dregs.position.y = 0.015;
+    cupGroup.add(dregs);
+
+    cupGroup.userData = { type: 'dirty_cup', itemType: 'dirty_cup', table, interactable: true };
+    return cupGroup;
+}
+
+function pickUpDirtyCup(cup) {
+    const idx = interactableObjects.indexOf(cup);
+    if (idx > -1) interactableObjects.splice(idx, 1);
+
+    holdItem(cup);
+    playSound('clink');
+}
+
+// Binning a dirty cup frees its table once the last one is gone
+function bussDirtyCup(cup) {
+    const table = cup.userData.table;
+    const idx = table.dirtyCups.indexOf(cup);
+    if (idx > -1) table.dirtyCups.splice(idx, 1);
+
+    if (table.dirtyCups.length === 0) {
+        showNotification('Table cleared! 🧽', 'Ready for the next guests');
+    }
+}
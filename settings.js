@@ -0,0 +1,291 @@
+// ============================================
+// CaféVibe - Settings
+// Key bindings, mouse, display and volume - kept per browser, not per run
+// ============================================
+
+const SETTINGS_KEY = 'cafevibe.settings';
+
+const DEFAULT_SETTINGS = {
+    bindings: Object.fromEntries(CONTROLS.map(c => [c.id, c.key])),
+    layout: 'auto',    // 'auto' asks the browser, else a KEY_LAYOUTS name
+    sensitivity: 1,    // Multiplier on CONFIG.LOOK_SPEED
+    invertY: false,
+    fov: 75,
+    volume: 30,        // Master
+    musicVolume: 70,   // Music bus, under the master
+    sfxVolume: 100     // SFX bus, under the master
+};
+
+// Names for keys whose code isn't readable as-is
+const KEY_NAMES = {
+    Escape: 'ESC', Space: 'Space', Tab: 'Tab', Enter: 'Enter', Backspace: 'Backspace', CapsLock: 'Caps',
+    ShiftLeft: 'L-Shift', ShiftRight: 'R-Shift', ControlLeft: 'L-Ctrl', ControlRight: 'R-Ctrl',
+    AltLeft: 'L-Alt', AltRight: 'R-Alt', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+};
+
+let settings = loadSettings();
+
+// A replay plays with the controls it was recorded with, without touching the player's own
+let controlsOverride = null;
+
+// Action being rebound - the next key press goes to it
+let rebindingAction = null;
+
+// Keyboard layout from the browser, where supported (Chromium)
+let keyboardLayoutMap = null;
+
+// 'keyboard', 'gamepad' or 'touch' - decides which glyphs prompts show
+let lastInputDevice = 'keyboard';
+
+// ============================================
+// STORAGE
+// ============================================
+
+// Stored values merged over the defaults, so new settings and actions get theirs
+function loadSettings() {
+    let stored = {};
+    try {
+        stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (e) {
+        console.warn('Ignoring unreadable settings:', e);
+    }
+
+    const bindings = { ...DEFAULT_SETTINGS.bindings };
+    CONTROLS.forEach(c => {
+        if (stored.bindings && typeof stored.bindings[c.id] === 'string') bindings[c.id] = stored.bindings[c.id];
+    });
+
+    return { ...DEFAULT_SETTINGS, ...stored, bindings };
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Could not save settings:', e);
+    }
+}
+
+function updateSetting(key, value) {
+    settings[key] = value;
+    saveSettings();
+    applySettings();
+}
+
+// Push settings into the camera, audio and UI
+function applySettings() {
+    if (camera) {
+        camera.fov = settings.fov;
+        camera.updateProjectionMatrix();
+    }
+
+    document.getElementById('volume-slider').value = settings.volume;
+    if (masterGain) masterGain.gain.value = settings.volume / 100;
+    if (musicBus) musicBus.gain.value = settings.musicVolume / 100;
+    if (sfxBus) sfxBus.gain.value = settings.sfxVolume / 100;
+
+    renderControlsHelp();
+    renderSettings();
+}
+
+function initSettings() {
+    applySettings();
+
+    // Capture phase, so keys meant for the settings screen never reach the game
+    window.addEventListener('keydown', onSettingsKeyDown, true);
+
+    if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+        navigator.keyboard.getLayoutMap().then(map => {
+            keyboardLayoutMap = map;
+            applySettings();
+        }).catch(() => {});
+    }
+}
+
+// ============================================
+// BINDINGS
+// ============================================
+
+// What gameplay reads - the player's settings, or a replay's
+function getControls() {
+    return controlsOverride || settings;
+}
+
+function setControlsOverride(controls) {
+    controlsOverride = controls ? { ...DEFAULT_SETTINGS, ...controls } : null;
+    renderControlsHelp();
+}
+
+// The parts of the settings that change what input does (stored with replays)
+function getControlSettings() {
+    const { bindings, sensitivity, invertY } = getControls();
+    return { bindings: { ...bindings }, sensitivity, invertY };
+}
+
+function getBoundAction(code) {
+    const { bindings } = getControls();
+    return Object.keys(bindings).find(action => bindings[action] === code) || null;
+}
+
+// Binding a key that's already in use swaps the two actions
+function bindKey(action, code) {
+    const previous = getBoundAction(code);
+    if (previous && previous !== action) {
+        settings.bindings[previous] = settings.bindings[action];
+    }
+    settings.bindings[action] = code;
+    saveSettings();
+    applySettings();
+}
+
+function resetSettings() {
+    settings = { ...DEFAULT_SETTINGS, bindings: { ...DEFAULT_SETTINGS.bindings } };
+    saveSettings();
+    applySettings();
+}
+
+// ============================================
+// KEY LABELS
+// ============================================
+
+function getKeyName(code) {
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+
+    if (settings.layout === 'auto' && keyboardLayoutMap) {
+        const label = keyboardLayoutMap.get(code);
+        if (label && label.trim()) return label.toUpperCase();
+    }
+
+    const layout = KEY_LAYOUTS[settings.layout] || KEY_LAYOUTS.qwerty;
+    if (layout[code]) return layout[code];
+
+    return code.replace(/^Key|^Digit/, '').replace(/^Numpad/, 'Num ');
+}
+
+function setInputDevice(device) {
+    if (lastInputDevice === device) return;
+    lastInputDevice = device;
+    renderControlsHelp();
+}
+
+// Follows the last device used; null if the action has no key
+function getKeyLabel(action) {
+    if (lastInputDevice === 'gamepad' && GAMEPAD_BUTTONS[action]) return GAMEPAD_BUTTONS[action].glyph;
+    if (lastInputDevice === 'touch') return TOUCH_BUTTONS[action] ? TOUCH_BUTTONS[action].icon : null;
+    if (action === 'pause') return 'ESC';
+
+    const code = getControls().bindings[action];
+    return code ? getKeyName(code) : null;
+}
+
+// "WASD", or "↑/←/↓/→" when the keys need more than a letter each
+function getMoveKeysLabel() {
+    if (lastInputDevice === 'gamepad') return 'L-Stick';
+    if (lastInputDevice === 'touch') return 'Left thumb';
+
+    const keys = ['moveForward', 'moveLeft', 'moveBackward', 'moveRight'].map(getKeyLabel);
+    return keys.every(k => k.length === 1) ? keys.join('') : keys.join('/');
+}
+
+// Every place that names a key, from the active bindings
+function renderControlsHelp() {
+    const rows = [
+        [getMoveKeysLabel(), 'Move'],
+        [{ gamepad: 'R-Stick', touch: 'Drag right' }[lastInputDevice] || 'Mouse', 'Look'],
+        [getKeyLabel('interact'), 'Interact / Drop'],
+        [getKeyLabel('throw'), 'Throw'],
+        [getKeyLabel('cycleItem'), 'Switch Held Item'],
+        [getKeyLabel('recipes'), 'Toggle Recipes'],
+        [getKeyLabel('shop'), 'Upgrades & Supplier'],
+        [getKeyLabel('pause'), 'Pause / Cancel']
+    ].filter(([key]) => key);
+
+    document.getElementById('controls-help-rows').innerHTML = rows.map(([key, label]) =>
+        `<div class="control-row"><span>${key}</span><span class="control-key">${label}</span></div>`
+    ).join('');
+
+    document.querySelector('.recipe-title').textContent = `📋 RECIPES (${getKeyLabel('recipes')} to toggle)`;
+}
+
+// ============================================
+// SETTINGS SCREEN
+// ============================================
+
+function openSettings() {
+    rebindingAction = null;
+    document.getElementById('settings-modal').style.display = 'flex';
+    renderSettings();
+}
+
+function closeSettings() {
+    rebindingAction = null;
+    document.getElementById('settings-modal').style.display = 'none';
+}
+
+function isSettingsOpen() {
+    return document.getElementById('settings-modal').style.display === 'flex';
+}
+
+function renderSettings() {
+    const list = document.getElementById('bindings-list');
+    list.innerHTML = '';
+
+    CONTROLS.forEach(control => {
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+        row.innerHTML = `<span>${control.name}</span>`;
+
+        const button = document.createElement('button');
+        button.className = 'bind-btn' + (rebindingAction === control.id ? ' listening' : '');
+        button.textContent = rebindingAction === control.id ? 'Press a key…' : getKeyName(settings.bindings[control.id]);
+        button.onclick = () => {
+            rebindingAction = control.id;
+            renderSettings();
+        };
+
+        row.appendChild(button);
+        list.appendChild(row);
+    });
+
+    // ESC always pauses - browsers reserve it for releasing the mouse
+    const fixed = document.createElement('div');
+    fixed.className = 'binding-row fixed';
+    fixed.innerHTML = '<span>Pause / Cancel</span><span class="bind-btn">ESC</span>';
+    list.appendChild(fixed);
+
+    document.getElementById('layout-select').value = settings.layout;
+    document.getElementById('sensitivity-slider').value = settings.sensitivity;
+    document.getElementById('sensitivity-value').textContent = settings.sensitivity.toFixed(1) + '×';
+    document.getElementById('invert-y-toggle').checked = settings.invertY;
+    document.getElementById('fov-slider').value = settings.fov;
+    document.getElementById('fov-value').textContent = settings.fov + '°';
+    document.getElementById('settings-volume-slider').value = settings.volume;
+    document.getElementById('settings-volume-value').textContent = settings.volume + '%';
+    document.getElementById('music-volume-slider').value = settings.musicVolume;
+    document.getElementById('music-volume-value').textContent = settings.musicVolume + '%';
+    document.getElementById('sfx-volume-slider').value = settings.sfxVolume;
+    document.getElementById('sfx-volume-value').textContent = settings.sfxVolume + '%';
+}
+
+function onSettingsKeyDown(event) {
+    if (!isSettingsOpen()) return;
+    event.stopPropagation();
+
+    if (event.code === 'Escape') {
+        event.preventDefault();
+        if (rebindingAction) {
+            rebindingAction = null;
+            renderSettings();
+        } else {
+            closeSettings();
+        }
+        return;
+    }
+
+    if (rebindingAction) {
+        event.preventDefault();
+        const action = rebindingAction;
+        rebindingAction = null;
+        bindKey(action, event.code);
+    }
+}
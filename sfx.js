@@ -0,0 +1,418 @@
+// ============================================
+// CaféVibe - Sound Effects
+// Synthesized SFX, positioned in the café through Three.js audio
+// ============================================
+
+const sfxState = {
+    listener: null,          // THREE.AudioListener on the camera
+    door: null,              // Fixed points sounds come from
+    street: null,
+    rainGain: null,          // Rain bed level, follows the weather
+    steam: null,             // { source, filter, gain, emitter } while frothing
+    nextTrafficAt: 0,        // audioContext time of the next passing car
+    stride: 0,               // Distance the barista has walked since the last footstep
+    lastPlayerPos: null,
+    walkers: new WeakMap()   // Customer -> { x, z, stride }
+};
+
+// Each sound: how long it rings (so its emitter can be let go) and how to synthesize it
+const SOUNDS = {
+    pickup: {
+        duration: 0.15,
+        play: (out, t) => {
+            playTone(out, t, { type: 'triangle', freq: 1800, duration: 0.05, level: 0.03 });
+            playTone(out, t, { freq: 600, to: 720, duration: 0.12, level: 0.04 });
+        }
+    },
+    clink: {
+        duration: 0.4,
+        play: (out, t) => {
+            // Inharmonic partials read as ceramic
+            const pitch = 1 + (random('audio') - 0.5) * 0.06;
+            [[2640, 0.05], [3950, 0.03], [5870, 0.02]].forEach(([freq, level]) => {
+                playTone(out, t, { freq: freq * pitch, duration: 0.3, level });
+            });
+            playNoise(out, t, { filter: 'highpass', freq: 6000, duration: 0.02, level: 0.03 });
+        }
+    },
+    drop: {
+        duration: 0.2,
+        play: (out, t) => {
+            playTone(out, t, { freq: 180, to: 60, duration: 0.15, level: 0.12 });
+            playNoise(out, t, { filter: 'lowpass', freq: 800, duration: 0.08, level: 0.05 });
+        }
+    },
+    throw: {
+        duration: 0.35,
+        play: (out, t) => {
+            playNoise(out, t, { filter: 'bandpass', freq: 400, to: 1800, q: 2, attack: 0.1, duration: 0.3, level: 0.1 });
+        }
+    },
+    trash: {
+        duration: 0.3,
+        play: (out, t) => {
+            playTone(out, t, { freq: 140, to: 50, duration: 0.2, level: 0.1 });
+            playNoise(out, t + 0.02, { filter: 'bandpass', freq: 1500, q: 1.5, duration: 0.25, level: 0.06 });
+        }
+    },
+    grind: {
+        duration: 1.5,
+        play: (out, t) => {
+            // Motor spinning up under the crunch of the beans
+            playTone(out, t, { type: 'sawtooth', freq: 90, to: 140, attack: 0.15, duration: 1.4, level: 0.03, lowpass: 900 });
+            playNoise(out, t, { filter: 'bandpass', freq: 2500, q: 1.5, attack: 0.15, duration: 1.4, level: 0.06 });
+        }
+    },
+    pour: {
+        duration: 1,
+        play: (out, t) => {
+            playNoise(out, t, { filter: 'bandpass', freq: 700, to: 1100, q: 3, attack: 0.05, duration: 0.9, level: 0.08 });
+
+            // A few bubbles
+            for (let i = 0; i < 4; i++) {
+                const start = t + 0.1 + random('audio') * 0.6;
+                const freq = 400 + random('audio') * 400;
+                playTone(out, start, { freq, to: freq * 1.5, duration: 0.06, level: 0.02 });
+            }
+        }
+    },
+    coin: {
+        duration: 1,
+        play: (out, t) => {
+            // Register drawer, then the chime
+            playNoise(out, t, { filter: 'highpass', freq: 3000, duration: 0.06, level: 0.05 });
+            playBell(out, t + 0.06, 1319, 0.06);
+            playBell(out, t + 0.16, 1760, 0.06);
+        }
+    },
+    doorbell: {
+        duration: 1.3,
+        play: (out, t) => {
+            playBell(out, t, 2093, 0.05);
+            playBell(out, t + 0.12, 2349, 0.04);
+            playBell(out, t + 0.22, 2093, 0.03);
+        }
+    },
+    footstep: {
+        duration: 0.1,
+        play: (out, t) => {
+            const variation = random('audio');
+            playNoise(out, t, { filter: 'lowpass', freq: 500 + variation * 300, duration: 0.07, level: 0.05 });
+            playTone(out, t, { freq: 90, to: 60, duration: 0.06, level: 0.04 });
+        }
+    },
+    error: {
+        duration: 0.3,
+        play: (out, t) => {
+            playTone(out, t, { type: 'square', freq: 220, duration: 0.1, level: 0.05, lowpass: 1200 });
+            playTone(out, t + 0.12, { type: 'square', freq: 180, duration: 0.14, level: 0.05, lowpass: 1200 });
+        }
+    }
+};
+
+function initSfx() {
+    if (!audioContext) return;
+
+    // Three's audio shares our context, and everything it plays goes through the SFX bus
+    THREE.AudioContext.setContext(audioContext);
+    sfxState.listener = new THREE.AudioListener();
+    sfxState.listener.gain.disconnect();
+    sfxState.listener.gain.connect(sfxBus);
+    camera.add(sfxState.listener);
+
+    const { DOOR, STREET } = CONFIG.SFX;
+    sfxState.door = new THREE.Object3D();
+    sfxState.door.position.set(DOOR.x, DOOR.y, DOOR.z);
+    sfxState.street = new THREE.Object3D();
+    sfxState.street.position.set(STREET.x, STREET.y, STREET.z);
+    scene.add(sfxState.door, sfxState.street);
+
+    startAmbience();
+}
+
+// Play a sound - from `source` (an Object3D, followed while it rings) or, without one, in the barista's head
+function playSound(type, source = null) {
+    if (!audioContext) return;
+
+    const sound = SOUNDS[type];
+    if (!sound) {
+        console.warn(`Unknown sound: ${type}`);
+        return;
+    }
+
+    const emitter = createEmitter(source);
+    sound.play(emitter.input, audioContext.currentTime);
+    emitter.release(sound.duration);
+}
+
+// Once a frame: footsteps, traffic, rain and the steam wand
+function updateSfx(delta) {
+    if (!audioContext || audioContext.state !== 'running') return;
+
+    if (gameState.isPlaying && !gameState.isPaused) {
+        updateFootsteps();
+    } else {
+        sfxState.lastPlayerPos = null;
+    }
+
+    updateSteam();
+
+    if (sfxState.rainGain) {
+        sfxState.rainGain.gain.setTargetAtTime(CONFIG.SFX.RAIN_LEVEL * environmentState.rain, audioContext.currentTime, 0.5);
+    }
+
+    if (audioContext.currentTime >= sfxState.nextTrafficAt) {
+        if (sfxState.nextTrafficAt > 0) playTraffic();
+        const { TRAFFIC_GAP_MIN, TRAFFIC_GAP_MAX } = CONFIG.SFX;
+        sfxState.nextTrafficAt = audioContext.currentTime + TRAFFIC_GAP_MIN + random('audio') * (TRAFFIC_GAP_MAX - TRAFFIC_GAP_MIN);
+    }
+}
+
+// ============================================
+// EMITTERS
+// ============================================
+
+// Where a sound's voices connect. Positional ones ride along as a child of `source`
+// until release() - anything removed from the scene takes its sounds with it.
+function createEmitter(source) {
+    const input = audioContext.createGain();
+
+    if (!source || !sfxState.listener) {
+        input.connect(sfxBus);
+        return { input, release: (after = 0) => setTimeout(() => input.disconnect(), (after + 0.1) * 1000) };
+    }
+
+    const audio = new THREE.PositionalAudio(sfxState.listener);
+    audio.setRefDistance(CONFIG.SFX.REF_DISTANCE);
+    audio.setRolloffFactor(CONFIG.SFX.ROLLOFF);
+    audio.setNodeSource(input);
+    source.add(audio);
+    audio.updateMatrixWorld(true);
+
+    return {
+        input,
+        release: (after = 0) => setTimeout(() => {
+            audio.disconnect();
+            audio.gain.disconnect();
+            source.remove(audio);
+        }, (after + 0.1) * 1000)
+    };
+}
+
+// ============================================
+// VOICES
+// ============================================
+
+// Oscillator with an attack / exponential decay envelope, optionally gliding to `to`
+function playTone(out, time, { type = 'sine', freq, to, attack = 0.005, duration, level, lowpass }) {
+    const osc = audioContext.createOscillator();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, time);
+    if (to) osc.frequency.exponentialRampToValueAtTime(to, time + duration);
+
+    const gain = createEnvelope(time, attack, duration, level);
+    if (lowpass) {
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = lowpass;
+        osc.connect(filter);
+        filter.connect(gain);
+    } else {
+        osc.connect(gain);
+    }
+    gain.connect(out);
+
+    osc.start(time);
+    osc.stop(time + duration + 0.05);
+}
+
+// Filtered burst of noise, the filter optionally sweeping to `to`
+function playNoise(out, time, { filter: type, freq, to, q = 1, attack = 0.002, duration, level }) {
+    const source = audioContext.createBufferSource();
+    source.buffer = getNoiseBuffer();
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = type;
+    filter.Q.value = q;
+    filter.frequency.setValueAtTime(freq, time);
+    if (to) filter.frequency.exponentialRampToValueAtTime(to, time + duration);
+
+    const gain = createEnvelope(time, attack, duration, level);
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(out);
+
+    source.start(time, random('audio') * 1.5, duration + 0.05);
+}
+
+// Small bell - a fundamental plus the bright, slightly off partials that make it ring
+function playBell(out, time, freq, level) {
+    playTone(out, time, { freq, duration: 1, level });
+    playTone(out, time, { freq: freq * 2.76, duration: 0.5, level: level * 0.4 });
+    playTone(out, time, { freq: freq * 5.4, duration: 0.25, level: level * 0.2 });
+}
+
+function createEnvelope(time, attack, duration, level) {
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, time);
+    gain.gain.linearRampToValueAtTime(level, time + attack);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + Math.max(duration, attack + 0.01));
+    return gain;
+}
+
+// ============================================
+// STEAM WAND
+// ============================================
+
+// Hiss from the milk station for as long as the frothing mini-game runs
+function startSteam(source) {
+    if (!audioContext) return;
+    stopSteam();
+
+    const noise = audioContext.createBufferSource();
+    noise.buffer = getNoiseBuffer();
+    noise.loop = true;
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.Q.value = 2;
+    filter.frequency.value = CONFIG.SFX.STEAM_LOW;
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, audioContext.currentTime);
+    gain.gain.linearRampToValueAtTime(0.06, audioContext.currentTime + 0.1);
+
+    const emitter = createEmitter(source);
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(emitter.input);
+    noise.start();
+
+    sfxState.steam = { source: noise, filter, gain, emitter };
+}
+
+// Pitch climbs as the milk froths; the wand goes quiet while paused
+function updateSteam() {
+    const steam = sfxState.steam;
+    if (!steam) return;
+
+    if (!miniGameState.active || miniGameState.type !== 'tap') {
+        stopSteam();
+        return;
+    }
+
+    const now = audioContext.currentTime;
+    const progress = Math.max(0, Math.min(1, miniGameState.tapProgress / miniGameState.tapRequired));
+    const { STEAM_LOW, STEAM_HIGH } = CONFIG.SFX;
+
+    steam.filter.frequency.setTargetAtTime(STEAM_LOW + (STEAM_HIGH - STEAM_LOW) * progress, now, 0.05);
+    steam.gain.gain.setTargetAtTime(gameState.isPaused ? 0 : 0.06 + 0.04 * progress, now, 0.05);
+}
+
+function stopSteam() {
+    const steam = sfxState.steam;
+    if (!steam) return;
+    sfxState.steam = null;
+
+    const now = audioContext.currentTime;
+    steam.gain.gain.cancelScheduledValues(now);
+    steam.gain.gain.setTargetAtTime(0, now, 0.05);
+    steam.source.stop(now + 0.3);
+    steam.emitter.release(0.3);
+}
+
+// ============================================
+// AMBIENCE & FOOTSTEPS
+// ============================================
+
+// Low street rumble through the open front, always on, and rain on the roof when there is any
+function startAmbience() {
+    createNoiseLoop(createEmitter(sfxState.street).input, 'lowpass', 400, CONFIG.SFX.AMBIENCE_LEVEL);
+    sfxState.rainGain = createNoiseLoop(sfxBus, 'highpass', 1500, 0);
+}
+
+// Endless filtered noise - returns its gain to fade it
+function createNoiseLoop(destination, type, frequency, level) {
+    const noise = audioContext.createBufferSource();
+    noise.buffer = getNoiseBuffer();
+    noise.loop = true;
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+
+    const gain = audioContext.createGain();
+    gain.gain.value = level;
+
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+    noise.start();
+    return gain;
+}
+
+// A car going past - swells in and out over a few seconds
+function playTraffic() {
+    const emitter = createEmitter(sfxState.street);
+    const t = audioContext.currentTime;
+    const duration = 2.5 + random('audio') * 2;
+
+    const noise = audioContext.createBufferSource();
+    noise.buffer = getNoiseBuffer();
+    noise.loop = true;
+
+    const filter = audioContext.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.setValueAtTime(250, t);
+    filter.frequency.linearRampToValueAtTime(600, t + duration / 2);
+    filter.frequency.linearRampToValueAtTime(300, t + duration);
+
+    const gain = audioContext.createGain();
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.linearRampToValueAtTime(CONFIG.SFX.AMBIENCE_LEVEL * 2, t + duration / 2);
+    gain.gain.linearRampToValueAtTime(0, t + duration);
+
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(emitter.input);
+    noise.start(t);
+    noise.stop(t + duration);
+    emitter.release(duration);
+}
+
+// A step every STEP_LENGTH walked - the barista's own, and each customer's from where they are
+function updateFootsteps() {
+    const step = CONFIG.SFX.STEP_LENGTH;
+
+    const pos = camera.position;
+    const last = sfxState.lastPlayerPos;
+    if (last) {
+        // Jumps (a new run, loading a save) aren't walking
+        const moved = Math.hypot(pos.x - last.x, pos.z - last.z);
+        if (moved < 1) sfxState.stride += moved;
+    }
+    sfxState.lastPlayerPos = { x: pos.x, z: pos.z };
+
+    if (sfxState.stride >= step) {
+        sfxState.stride = 0;
+        playSound('footstep');
+    }
+
+    gameState.customers.forEach(customer => {
+        const walker = sfxState.walkers.get(customer);
+        const { x, z } = customer.position;
+        if (!walker) {
+            sfxState.walkers.set(customer, { x, z, stride: 0 });
+            return;
+        }
+
+        walker.stride += Math.hypot(x - walker.x, z - walker.z);
+        walker.x = x;
+        walker.z = z;
+
+        if (walker.stride >= step) {
+            walker.stride = 0;
+            playSound('footstep', customer);
+        }
+    });
+}
@@ -0,0 +1,413 @@
+// ============================================
+// CaféVibe - Headless Simulation
+// Balancing runs with a bot barista - no renderer, no DOM.
+//
+//   node tools/simulate.js --days 7 --seed 42 --mode cozy
+//   node tools/simulate.js --seed K7Q2XD
+//   node tools/simulate.js --policy urgent --skill 65 --json
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same files (and order) as index.html - only the ones with no scene or DOM at load time
+const RULE_SCRIPTS = ['config.js', 'random.js', 'pricing.js', 'day.js', 'rules.js'];
+
+// How the bot barista plays
+const BOT_DEFAULTS = {
+    policy: 'fifo',        // 'fifo' serves the front of the line, 'urgent' the least patient customer
+    stepSeconds: 3,        // Per recipe step (pull, steam, froth, pump), before prepSpeed
+    pastrySeconds: 2,
+    handoffSeconds: 2,     // Walking the order over
+    skill: 80,             // Mean step quality (0-100)
+    skillSpread: 15,
+    mistakeChance: 0.08,   // Chance a drink comes out wrong
+    upgradeReserve: 40     // Money kept back when buying upgrades
+};
+
+// ============================================
+// LOADING THE RULES
+// ============================================
+
+// Runs the rule scripts in their own global scope, like the browser would
+function loadRules(mode) {
+    const context = vm.createContext({ console });
+    RULE_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+
+    // Top-level consts live in the script scope, not on the context object
+    const data = vm.runInContext(
+        '({ CONFIG, CUSTOMER_TYPES, UPGRADES, MENU_ITEMS, INGREDIENTS, SUPPLIES, DRINK_RECIPES, QUEUE_POSITIONS })',
+        context
+    );
+
+    // The same fields game.js keeps, minus anything scene related
+    context.gameState = {
+        mode: mode,
+        money: data.CONFIG.STARTING_MONEY,
+        rating: 5.0,
+        customersServed: 0,
+        walkOuts: [],
+        menuPrices: {},
+        ownedUpgrades: [],
+        modifiers: {},
+        day: 1,
+        dayTime: data.CONFIG.DAY.OPEN_HOUR,
+        dayStats: null,
+        weather: 'clear',
+        inventory: {},
+        pendingDeliveries: [],
+        ledger: []
+    };
+
+    return { rules: context, data, state: context.gameState };
+}
+
+// ============================================
+// STOCK
+// ============================================
+
+// Ingredient uses for an order (milk that gets frothed takes a second pass)
+function getOrderStock(sim, items) {
+    const needs = { cups: 0, pastries: 0 };
+
+    items.forEach(item => {
+        if (item.type === 'pastry') {
+            needs.pastries++;
+            return;
+        }
+
+        needs.cups++;
+        sim.data.DRINK_RECIPES[item.id].steps.forEach(step => {
+            const uses = step.shots || step.pumps || (step.foam === 'high' ? 2 : 1);
+            needs[step.ingredient] = (needs[step.ingredient] || 0) + uses;
+        });
+    });
+
+    return needs;
+}
+
+function hasOrderStock(sim, needs) {
+    return Object.entries(needs).every(([id, amount]) => (sim.state.inventory[id] || 0) >= amount);
+}
+
+function getIncoming(sim, id) {
+    return sim.state.pendingDeliveries
+        .filter(d => d.ingredient === id)
+        .reduce((sum, d) => sum + d.amount, 0);
+}
+
+// Ingredients only this season's menu doesn't use (out-of-season syrups and the like)
+function getOffMenuIngredients(sim) {
+    const { MENU_ITEMS, DRINK_RECIPES } = sim.data;
+    const menu = sim.rules.getMenuItems();
+    const uses = (item) => DRINK_RECIPES[item.id] ? DRINK_RECIPES[item.id].steps.map(s => s.ingredient) : [];
+
+    const used = new Set(menu.flatMap(uses));
+    return new Set(MENU_ITEMS.flatMap(uses).filter(id => !used.has(id)));
+}
+
+// Reorder anything at or below its low-stock mark, if there's money and room
+function restock(sim) {
+    const { INGREDIENTS, SUPPLIES } = sim.data;
+    const offMenu = getOffMenuIngredients(sim);
+
+    SUPPLIES.forEach(supply => {
+        if (offMenu.has(supply.ingredient)) return;
+
+        const ingredient = INGREDIENTS[supply.ingredient];
+        const onHand = sim.state.inventory[supply.ingredient] + getIncoming(sim, supply.ingredient);
+
+        if (onHand > ingredient.lowStock) return;
+        if (onHand + supply.amount > ingredient.max) return;
+        if (sim.state.money < supply.price) return;
+
+        sim.rules.recordTransaction('supplies', -supply.price, supply.name);
+        sim.state.pendingDeliveries.push({
+            ingredient: supply.ingredient,
+            amount: supply.amount,
+            name: supply.name,
+            arrivesIn: supply.delay
+        });
+    });
+}
+
+function updateDeliveries(sim, delta) {
+    const deliveries = sim.state.pendingDeliveries;
+    for (let i = deliveries.length - 1; i >= 0; i--) {
+        deliveries[i].arrivesIn -= delta;
+        if (deliveries[i].arrivesIn <= 0) {
+            const { ingredient, amount } = deliveries[i];
+            const max = sim.data.INGREDIENTS[ingredient].max;
+            sim.state.inventory[ingredient] = Math.min(max, sim.state.inventory[ingredient] + amount);
+            deliveries.splice(i, 1);
+        }
+    }
+}
+
+// ============================================
+// BOT BARISTA
+// ============================================
+
+// Pick the next customer to make an order for, or null to wait
+function pickJob(sim, bot, queue) {
+    const ordered = queue.slice(0, sim.data.QUEUE_POSITIONS.length);
+    const candidates = bot.policy === 'urgent'
+        ? ordered.slice().sort((a, b) => a.patienceLeft - b.patienceLeft)
+        : ordered;
+
+    const customer = candidates.find(c => hasOrderStock(sim, getOrderStock(sim, c.items)));
+    if (!customer) return null;
+
+    const needs = getOrderStock(sim, customer.items);
+    for (const [id, amount] of Object.entries(needs)) {
+        sim.state.inventory[id] -= amount;
+    }
+    restock(sim);
+
+    // Time to make everything, and how well each item turns out
+    const prepSpeed = sim.rules.getModifier('prepSpeed');
+    const { PENALTY } = sim.data.CONFIG.RECIPE;
+    let seconds = bot.handoffSeconds;
+    let quality = 0;
+    let accuracy = 0;
+
+    customer.items.forEach(item => {
+        if (item.type === 'pastry') {
+            seconds += bot.pastrySeconds;
+            quality += 100;
+            accuracy += 100;
+            return;
+        }
+
+        const steps = sim.data.DRINK_RECIPES[item.id].steps;
+        const passes = steps.reduce((sum, step) => sum + (step.foam === 'high' ? 2 : 1), 0);
+        seconds += passes * bot.stepSeconds / prepSpeed;
+
+        // Roughly normal around the bot's skill (mean of three rolls, std dev ~ skillSpread)
+        const roll = (bot.random() + bot.random() + bot.random()) / 3 - 0.5;
+        quality += Math.max(10, Math.min(100, bot.skill + roll * 6 * bot.skillSpread));
+        accuracy += bot.random() < bot.mistakeChance ? 100 - PENALTY.foam : 100;
+    });
+
+    return {
+        customer,
+        timeLeft: seconds,
+        quality: quality / customer.items.length,
+        accuracy: accuracy / customer.items.length
+    };
+}
+
+// Spend spare money on the cheapest upgrade not owned yet
+function buyUpgrades(sim, bot, day, bought) {
+    const affordable = sim.data.UPGRADES
+        .filter(u => !sim.state.ownedUpgrades.includes(u.id))
+        .filter(u => sim.state.money - u.price >= bot.upgradeReserve)
+        .sort((a, b) => a.price - b.price);
+
+    if (affordable.length > 0 && sim.rules.purchaseUpgrade(affordable[0])) {
+        bought.push({ day, id: affordable[0].id, name: affordable[0].name });
+    }
+}
+
+// ============================================
+// SIMULATION
+// ============================================
+function simulateDay(sim, bot, upgrades) {
+    const { CONFIG } = sim.data;
+    const { rules, state } = sim;
+    const { OPEN_HOUR, CLOSE_HOUR, LENGTH } = CONFIG.DAY;
+    const step = 1 / CONFIG.SIM.TICK_RATE;
+    const hoursPerSecond = (CLOSE_HOUR - OPEN_HOUR) / LENGTH;
+
+    state.dayTime = OPEN_HOUR;
+    state.dayStats = rules.createDayStats();
+    state.weather = rules.rollWeather();
+
+    const queue = [];
+    let phase = 'open';
+    let spawnTimer = CONFIG.FIRST_CUSTOMER_DELAY;
+    let job = null;
+    let ratingMin = state.rating;
+
+    // Shopping happens before opening, so it shows up in the day's expenses
+    buyUpgrades(sim, bot, state.day, upgrades);
+    restock(sim);
+
+    // Same order of systems as game.js: day, spawning, deliveries, patience, then the barista
+    while (phase === 'open' || queue.length > 0) {
+        if (phase === 'open') {
+            state.dayTime = Math.min(CLOSE_HOUR, state.dayTime + step * hoursPerSecond);
+            if (state.dayTime >= CLOSE_HOUR) phase = 'closing';
+
+            spawnTimer -= step;
+            if (spawnTimer <= 0) {
+                if (queue.length < CONFIG.MAX_CUSTOMERS) {
+                    const type = rules.pickCustomerType();
+                    const patience = rules.getCustomerPatience(type);
+                    queue.push({ type, items: rules.generateOrder(), patience, patienceLeft: patience });
+                }
+                spawnTimer = rules.getSpawnInterval();
+            }
+        }
+
+        updateDeliveries(sim, step);
+
+        // Only customers inside the line have ordered, so only they lose patience
+        for (let i = Math.min(queue.length, sim.data.QUEUE_POSITIONS.length) - 1; i >= 0; i--) {
+            const customer = queue[i];
+            customer.patienceLeft -= step;
+            if (customer.patienceLeft <= 0) {
+                rules.recordWalkOut(customer.type, customer.items, customer.patience);
+                queue.splice(i, 1);
+                if (job && job.customer === customer) job = null;
+            }
+        }
+
+        if (!job) {
+            job = pickJob(sim, bot, queue);
+        } else {
+            job.timeLeft -= step;
+            if (job.timeLeft <= 0) {
+                const { customer, quality, accuracy } = job;
+                const settlement = rules.settleOrder(customer.items, customer.type, quality, accuracy);
+                rules.applySettlement(settlement, customer.items, customer.type, quality);
+                queue.splice(queue.indexOf(customer), 1);
+                job = null;
+            }
+        }
+
+        ratingMin = Math.min(ratingMin, state.rating);
+    }
+
+    const stats = state.dayStats;
+    return {
+        day: state.day,
+        season: rules.getSeasonId(),
+        weather: state.weather,
+        revenue: stats.revenue,
+        tips: stats.tips,
+        expenses: stats.expenses,
+        profit: stats.revenue + stats.tips - stats.expenses,
+        served: stats.served,
+        walkOuts: stats.walkOuts,
+        avgQuality: stats.served > 0 ? Math.round(stats.qualityTotal / stats.served) : 0,
+        ratingStart: stats.ratingStart,
+        ratingEnd: state.rating,
+        ratingMin: ratingMin,
+        money: state.money
+    };
+}
+
+function simulateRun({ days = 7, seed = 1, mode = 'cozy', bot = {} } = {}) {
+    const sim = loadRules(mode);
+    const botConfig = { ...BOT_DEFAULTS, ...bot };
+
+    // Customers and the bot roll separately, so changing the bot doesn't change who walks in
+    // Same seed strings as the game, so a run's seed can be replayed here
+    sim.rules.seedRandom(seed);
+    botConfig.random = sim.rules.createRng(sim.rules.hashSeed(String(seed) + ':bot'));
+
+    sim.rules.initMenuPrices();
+    sim.rules.recomputeModifiers();
+    for (const [id, ingredient] of Object.entries(sim.data.INGREDIENTS)) {
+        sim.state.inventory[id] = ingredient.start;
+    }
+
+    const report = { mode, seed, policy: botConfig.policy, days: [], upgrades: [] };
+    for (let day = 1; day <= days; day++) {
+        sim.state.day = day;
+        report.days.push(simulateDay(sim, botConfig, report.upgrades));
+    }
+
+    report.totals = {
+        revenue: sum(report.days, 'revenue'),
+        tips: sum(report.days, 'tips'),
+        expenses: sum(report.days, 'expenses'),
+        profit: sum(report.days, 'profit'),
+        served: sum(report.days, 'served'),
+        walkOuts: sum(report.days, 'walkOuts'),
+        money: sim.state.money,
+        rating: sim.state.rating
+    };
+    return report;
+}
+
+function sum(rows, key) {
+    return rows.reduce((total, row) => total + row[key], 0);
+}
+
+// ============================================
+// REPORT
+// ============================================
+function formatReport(report) {
+    const cols = [
+        ['Day', r => r.day],
+        ['Season', r => r.season],
+        ['Weather', r => r.weather],
+        ['Revenue', r => `$${r.revenue}`],
+        ['Tips', r => `$${r.tips}`],
+        ['Expenses', r => `$${r.expenses}`],
+        ['Profit', r => `$${r.profit}`],
+        ['Served', r => r.served],
+        ['Walk-outs', r => r.walkOuts],
+        ['Quality', r => `${r.avgQuality}%`],
+        ['Rating', r => `${r.ratingStart.toFixed(2)} → ${r.ratingEnd.toFixed(2)} (min ${r.ratingMin.toFixed(2)})`]
+    ];
+
+    const rows = [cols.map(([name]) => name), ...report.days.map(day => cols.map(([, fn]) => String(fn(day))))];
+    const widths = cols.map((_, i) => Math.max(...rows.map(row => row[i].length)));
+    const lines = rows.map(row => row.map((cell, i) => cell.padStart(widths[i])).join('  '));
+
+    const t = report.totals;
+    return [
+        `CaféVibe simulation · ${report.mode} · seed ${report.seed} · policy ${report.policy}`,
+        '',
+        ...lines,
+        '',
+        `Total: revenue $${t.revenue}, tips $${t.tips}, expenses $${t.expenses}, profit $${t.profit}`,
+        `Served ${t.served}, walk-outs ${t.walkOuts}, final money $${t.money}, final rating ${t.rating.toFixed(2)}`,
+        `Upgrades: ${report.upgrades.map(u => `${u.name} (day ${u.day})`).join(', ') || 'none'}`
+    ].join('\n');
+}
+
+// --days 7 --seed 42 --json  ->  { days: 7, seed: 42, json: true }
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+
+        const key = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = isNaN(Number(next)) ? next : Number(next);
+            i++;
+        }
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    const bot = {};
+    Object.keys(BOT_DEFAULTS).forEach(key => {
+        if (key in args) bot[key] = args[key];
+    });
+
+    const report = simulateRun({ days: args.days, seed: args.seed, mode: args.mode, bot });
+    console.log(args.json ? JSON.stringify(report, null, 2) : formatReport(report));
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { simulateRun, formatReport, BOT_DEFAULTS };
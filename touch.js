@@ -0,0 +1,210 @@
+// ============================================
+// CaféVibe - Touch Controls
+// Virtual joystick, drag to look, on-screen buttons and the no-pointer-lock fallback
+// ============================================
+
+const touchState = {
+    enabled: false,        // Touch layer shown (set on the first touch)
+    lockFailed: false,     // Last pointer lock request was refused - drag to look until one works
+    lockNotified: false,   // Told the player about drag to look already
+    stick: null,           // { pointerId, originX, originY }
+    look: null,            // { pointerId, lastX, lastY }
+    sent: { moveX: 0, moveZ: 0 }
+};
+
+// Sim side: joystick as last handed over by flushInputs (see replay.js)
+const touchInput = {
+    move: { x: 0, z: 0 }
+};
+
+function initTouchControls() {
+    renderTouchButtons();
+
+    // Phones and tablets start in touch mode; anything else switches on first touch
+    if (window.matchMedia('(pointer: coarse)').matches) enableTouchControls();
+    window.addEventListener('touchstart', enableTouchControls, { passive: true });
+
+    // Refusals are often one-offs (re-locking straight after Esc, no user gesture),
+    // so the next click tries again and a lock that works ends the fallback
+    document.addEventListener('pointerlockerror', () => {
+        touchState.lockFailed = true;
+        if (touchState.lockNotified) return;
+        touchState.lockNotified = true;
+        showNotification('Drag to look around', 'Mouse lock isn\'t available here');
+    });
+    document.addEventListener('pointerlockchange', () => {
+        if (document.pointerLockElement === renderer.domElement) touchState.lockFailed = false;
+    });
+
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointerdown', onTouchPointerDown);
+    canvas.addEventListener('pointermove', onTouchPointerMove);
+    canvas.addEventListener('pointerup', onTouchPointerUp);
+    canvas.addEventListener('pointercancel', onTouchPointerUp);
+
+    // Anywhere on the mini-game card counts as a press
+    document.querySelector('.minigame-container').addEventListener('pointerdown', (e) => {
+        if (e.target.closest('button')) return;
+        queueLiveInput({ type: 'trigger', action: 'interact', pressed: true });
+    });
+}
+
+function enableTouchControls() {
+    if (touchState.enabled) return;
+    touchState.enabled = true;
+    document.body.classList.add('touch-mode');
+    setInputDevice('touch');
+}
+
+// ============================================
+// POINTER LOCK FALLBACK
+// ============================================
+
+// Only touch mode and browsers without the API (iOS) give up on it for good
+function hasPointerLock() {
+    return !touchState.enabled && 'requestPointerLock' in Element.prototype;
+}
+
+function canLockPointer() {
+    return hasPointerLock() && !touchState.lockFailed;
+}
+
+// Every lock / unlock goes through here - iOS has neither
+function lockPointer() {
+    if (hasPointerLock()) renderer.domElement.requestPointerLock();
+}
+
+function unlockPointer() {
+    if (document.exitPointerLock) document.exitPointerLock();
+}
+
+// Dragging looks around whenever the mouse isn't locked to the game
+function isDragLookActive() {
+    return gameState.isPlaying && !gameState.isPaused && !canLockPointer();
+}
+
+// ============================================
+// JOYSTICK & DRAG TO LOOK
+// ============================================
+
+function onTouchPointerDown(event) {
+    if (!isDragLookActive()) return;
+    if (event.pointerType === 'touch') setInputDevice('touch');
+
+    const inStickZone = event.clientX < window.innerWidth * CONFIG.TOUCH.STICK_ZONE;
+
+    if (touchState.enabled && inStickZone && !touchState.stick) {
+        touchState.stick = { pointerId: event.pointerId, originX: event.clientX, originY: event.clientY };
+        showStick(event.clientX, event.clientY);
+    } else if (!touchState.look) {
+        touchState.look = { pointerId: event.pointerId, lastX: event.clientX, lastY: event.clientY };
+    } else {
+        return;
+    }
+
+    renderer.domElement.setPointerCapture(event.pointerId);
+    event.preventDefault();
+}
+
+function onTouchPointerMove(event) {
+    const { stick, look } = touchState;
+
+    if (stick && event.pointerId === stick.pointerId) {
+        const radius = CONFIG.TOUCH.STICK_RADIUS;
+        let dx = event.clientX - stick.originX;
+        let dy = event.clientY - stick.originY;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        if (dist > radius) {
+            dx *= radius / dist;
+            dy *= radius / dist;
+        }
+
+        moveStickKnob(dx, dy);
+        queueTouchStick(dx / radius, -dy / radius);
+    } else if (look && event.pointerId === look.pointerId) {
+        const scale = CONFIG.TOUCH.LOOK_SCALE;
+        const dx = (event.clientX - look.lastX) * (event.pointerType === 'mouse' ? 1 : scale);
+        const dy = (event.clientY - look.lastY) * (event.pointerType === 'mouse' ? 1 : scale);
+        look.lastX = event.clientX;
+        look.lastY = event.clientY;
+
+        // Same path as mouse look, so sensitivity and invert-Y apply
+        if (dx || dy) queueLiveInput({ type: 'mousemove', dx, dy });
+    }
+}
+
+function onTouchPointerUp(event) {
+    if (touchState.stick && event.pointerId === touchState.stick.pointerId) {
+        touchState.stick = null;
+        hideStick();
+        queueTouchStick(0, 0);
+    }
+    if (touchState.look && event.pointerId === touchState.look.pointerId) {
+        touchState.look = null;
+    }
+}
+
+function queueTouchStick(x, z) {
+    const step = CONFIG.GAMEPAD.AXIS_STEP;
+    const moveX = Math.round(x / step) * step;
+    const moveZ = Math.round(z / step) * step;
+    if (moveX === touchState.sent.moveX && moveZ === touchState.sent.moveZ) return;
+
+    touchState.sent = { moveX, moveZ };
+    queueLiveInput({ type: 'touchstick', moveX, moveZ });
+}
+
+function onTouchStick(entry) {
+    touchInput.move = { x: entry.moveX, z: entry.moveZ };
+}
+
+// Let go of everything, e.g. for a new run
+function resetTouchInput() {
+    touchInput.move = { x: 0, z: 0 };
+    touchState.sent = { moveX: 0, moveZ: 0 };
+    touchState.stick = null;
+    touchState.look = null;
+    hideStick();
+}
+
+// ============================================
+// ON-SCREEN CONTROLS
+// ============================================
+
+function showStick(x, y) {
+    const base = document.getElementById('touch-stick');
+    base.style.left = x + 'px';
+    base.style.top = y + 'px';
+    base.style.display = 'block';
+    moveStickKnob(0, 0);
+}
+
+function moveStickKnob(dx, dy) {
+    document.getElementById('touch-stick-knob').style.transform = `translate(${dx}px, ${dy}px)`;
+}
+
+function hideStick() {
+    document.getElementById('touch-stick').style.display = 'none';
+}
+
+function renderTouchButtons() {
+    const container = document.getElementById('touch-buttons');
+    container.innerHTML = '';
+
+    for (const [action, button] of Object.entries(TOUCH_BUTTONS)) {
+        const el = document.createElement('button');
+        el.className = `touch-btn touch-${action}`;
+        el.innerHTML = `<span class="touch-btn-icon">${button.icon}</span><span class="touch-btn-label">${button.label}</span>`;
+        el.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            setInputDevice('touch');
+            queueLiveInput({ type: 'trigger', action, pressed: true });
+        });
+
+        // Held buttons (throw) act on release too
+        const release = () => queueLiveInput({ type: 'trigger', action, pressed: false });
+        el.addEventListener('pointerup', release);
+        el.addEventListener('pointercancel', release);
+        container.appendChild(el);
+    }
+}
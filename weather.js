@@ -0,0 +1,216 @@
+// ============================================
+// CaféVibe - Weather & Time of Day
+// Sun arc, dusk and night lighting, rain and wet ground
+// ============================================
+
+// Sky gradients, bottom of the dome to the top
+const SKY_PALETTES = {
+    day: { bottom: new THREE.Color(0.9, 0.7, 0.6), top: new THREE.Color(0.5, 0.6, 1.0), fog: new THREE.Color(0x87ceeb) },
+    dusk: { bottom: new THREE.Color(1.0, 0.5, 0.3), top: new THREE.Color(0.25, 0.25, 0.5), fog: new THREE.Color(0xd08060) },
+    night: { bottom: new THREE.Color(0.08, 0.08, 0.15), top: new THREE.Color(0.02, 0.02, 0.06), fog: new THREE.Color(0x10121e) },
+    overcast: { bottom: new THREE.Color(0.6, 0.62, 0.65), top: new THREE.Color(0.5, 0.52, 0.56), fog: new THREE.Color(0x9aa0a8) }
+};
+
+const LIGHT_COLORS = {
+    sunHigh: new THREE.Color(0xffddaa),
+    sunLow: new THREE.Color(0xff8844),
+    ambientDay: new THREE.Color(0xffeedd),
+    ambientNight: new THREE.Color(0x6677aa),
+    cloud: new THREE.Color(0xffffff),
+    cloudStorm: new THREE.Color(0x777f88),
+    cloudDusk: new THREE.Color(0xffb080)
+};
+
+// Where the visuals are now - eased towards today's weather so changes never pop
+const environmentState = {
+    daylight: 1,     // 0 at night, 1 in full sun
+    dusk: 0,         // 1 with the sun on the horizon
+    cloudCover: 0,
+    rain: 0,         // 0-1, how hard it's raining
+    wetness: 0,      // Lags behind rain - the ground takes a while to dry
+    rainMesh: null
+};
+
+function initWeather() {
+    environmentState.rainMesh = createRain(scene);
+    updateEnvironment(0, true);
+}
+
+// Once a frame: follow the clock and today's weather (the main menu gets a clear afternoon)
+function updateEnvironment(delta, immediate = false) {
+    const { MENU_HOUR, WEATHER_FADE, DRY_RATE } = CONFIG.ENVIRONMENT;
+    const hour = gameState.isPlaying ? gameState.dayTime : MENU_HOUR;
+    const weather = gameState.isPlaying ? getWeather() : WEATHER.clear;
+
+    const blend = immediate ? 1 : Math.min(1, WEATHER_FADE * delta);
+    environmentState.cloudCover += (weather.cloudCover - environmentState.cloudCover) * blend;
+    environmentState.rain += (weather.rain - environmentState.rain) * blend;
+
+    // Soaks quickly, dries slowly
+    if (environmentState.rain > environmentState.wetness) {
+        environmentState.wetness += (environmentState.rain - environmentState.wetness) * blend;
+    } else {
+        environmentState.wetness = Math.max(environmentState.rain, environmentState.wetness - DRY_RATE * delta);
+    }
+
+    updateSun(hour);
+    updateSky();
+    updateInteriorLights();
+    updateWetSurfaces();
+    updateRain(delta);
+
+    // Leaves and blossom don't fall in a downpour
+    if (fallingLeaves) fallingLeaves.material.opacity = 0.9 * (1 - environmentState.rain);
+}
+
+// Which MUSIC_TRACKS entry suits the scene right now (for the music panel's auto choice)
+function getEnvironmentMusicTrack() {
+    if (environmentState.rain > 0.5) return 1;
+    if (environmentState.daylight < 0.35) return 2;
+    return 0;
+}
+
+// ============================================
+// SUN & SKY
+// ============================================
+
+function updateSun(hour) {
+    const { SUNRISE, SUNSET } = CONFIG.ENVIRONMENT;
+
+    // 0 at sunrise, 1 at sunset - keeps going either side, so the sun sinks below the horizon
+    const arc = Math.PI * (hour - SUNRISE) / (SUNSET - SUNRISE);
+    const height = Math.sin(arc);
+
+    environmentState.daylight = smoothstep(-0.15, 0.3, height);
+    environmentState.dusk = Math.max(0, 1 - Math.abs(height) / 0.35);
+
+    const { sun, ambient } = SCENERY;
+    if (!sun) return;
+
+    // East to west, leaning south so the patio catches it
+    sun.position.set(Math.cos(arc) * 25, Math.max(1, height * 22), 10);
+
+    const overcast = 1 - 0.6 * environmentState.cloudCover;
+    sun.intensity = 0.8 * environmentState.daylight * overcast;
+    sun.color.copy(LIGHT_COLORS.sunHigh).lerp(LIGHT_COLORS.sunLow, environmentState.dusk);
+
+    ambient.intensity = 0.12 + 0.28 * environmentState.daylight * (1 - 0.3 * environmentState.rain);
+    ambient.color.copy(LIGHT_COLORS.ambientNight).lerp(LIGHT_COLORS.ambientDay, environmentState.daylight);
+}
+
+function updateSky() {
+    const { daylight, dusk, cloudCover } = environmentState;
+    const mix = (key) => {
+        const color = SKY_PALETTES.night[key].clone().lerp(SKY_PALETTES.day[key], daylight);
+        color.lerp(SKY_PALETTES.dusk[key], dusk * 0.7);
+
+        // Grey skies are only grey while there's light to see them by
+        const overcast = SKY_PALETTES.overcast[key].clone().multiplyScalar(0.15 + 0.85 * daylight);
+        return color.lerp(overcast, cloudCover * 0.8);
+    };
+
+    // The season's tint on top (greener spring, paler winter)
+    const bottom = mix('bottom').multiply(SCENERY.skyTint);
+    const top = mix('top').multiply(SCENERY.skyTint);
+    if (scene.fog) scene.fog.color.copy(mix('fog').multiply(SCENERY.skyTint));
+
+    const sky = SCENERY.sky;
+    if (sky) {
+        const positions = sky.geometry.attributes.position.array;
+        const colors = sky.geometry.attributes.color.array;
+        for (let i = 0; i < positions.length; i += 3) {
+            const t = (positions[i + 1] + 100) / 200; // 0 to 1 from bottom to top
+            colors[i] = bottom.r + (top.r - bottom.r) * t;
+            colors[i + 1] = bottom.g + (top.g - bottom.g) * t;
+            colors[i + 2] = bottom.b + (top.b - bottom.b) * t;
+        }
+        sky.geometry.attributes.color.needsUpdate = true;
+    }
+
+    const cloudColor = LIGHT_COLORS.cloud.clone().lerp(LIGHT_COLORS.cloudStorm, cloudCover);
+    cloudColor.lerp(LIGHT_COLORS.cloudDusk, dusk * 0.4);
+    cloudColor.multiplyScalar(0.2 + 0.8 * daylight);
+    SCENERY.clouds.forEach(material => {
+        material.color.copy(cloudColor);
+        material.opacity = 0.85 + 0.1 * cloudCover;
+    });
+}
+
+// Café lights come up as it gets dark (or grey) outside
+function updateInteriorLights() {
+    const gloom = Math.max(1 - environmentState.daylight, environmentState.cloudCover * 0.5);
+    SCENERY.interiorLights.forEach(light => {
+        light.intensity = light.userData.baseIntensity * (0.5 + 1.3 * gloom);
+    });
+}
+
+// ============================================
+// RAIN
+// ============================================
+
+function updateWetSurfaces() {
+    const wet = environmentState.wetness;
+    SCENERY.wetSurfaces.forEach(({ material, dryColor, dryRoughness }) => {
+        material.color.copy(dryColor).multiplyScalar(1 - 0.35 * wet);
+        material.roughness = dryRoughness + (0.25 - dryRoughness) * wet;
+    });
+}
+
+// Streaks in a box that follows the camera - drops wrap around instead of respawning
+function createRain(scene) {
+    const { RAIN_DROPS, RAIN_AREA, RAIN_HEIGHT } = CONFIG.ENVIRONMENT;
+    const positions = new Float32Array(RAIN_DROPS * 6);
+
+    for (let i = 0; i < RAIN_DROPS; i++) {
+        const x = (random('world') - 0.5) * RAIN_AREA;
+        const y = random('world') * RAIN_HEIGHT;
+        const z = (random('world') - 0.5) * RAIN_AREA;
+        positions.set([x, y, z, x, y + 0.35, z], i * 6);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    const rain = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+        color: 0xaabbcc,
+        transparent: true,
+        opacity: 0
+    }));
+    rain.frustumCulled = false;
+    rain.visible = false;
+    scene.add(rain);
+    return rain;
+}
+
+function updateRain(delta) {
+    const rain = environmentState.rainMesh;
+    if (!rain) return;
+
+    rain.visible = environmentState.rain > 0.01;
+    if (!rain.visible) return;
+    rain.material.opacity = 0.45 * environmentState.rain;
+
+    const { RAIN_SPEED, RAIN_AREA, RAIN_HEIGHT } = CONFIG.ENVIRONMENT;
+    const positions = rain.geometry.attributes.position.array;
+    const half = RAIN_AREA / 2;
+    const fall = RAIN_SPEED * delta;
+    const wrap = (value, centre) => value - centre > half ? value - RAIN_AREA : value - centre < -half ? value + RAIN_AREA : value;
+
+    for (let i = 0; i < positions.length; i += 6) {
+        let y = positions[i + 1] - fall;
+        if (y < 0) y += RAIN_HEIGHT;
+
+        const x = wrap(positions[i], camera.position.x);
+        const z = wrap(positions[i + 2], camera.position.z);
+        positions[i] = positions[i + 3] = x;
+        positions[i + 2] = positions[i + 5] = z;
+        positions[i + 1] = y;
+        positions[i + 4] = y + 0.35;
+    }
+    rain.geometry.attributes.position.needsUpdate = true;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}